@@ -14,9 +14,94 @@ create table if not exists public.ai_index (
   updated_at  timestamptz default now()
 );
 
+-- ----------------------------------------------------------------------------
+-- 1b) (OPCIONAL) BÚSQUEDA VECTORIAL EN SUPABASE (pgvector)
+--     Solo si pones VECTOR_STORE=pgvector en el backend. Los embeddings de
+--     text-embedding-3-large tienen 3072 dimensiones y los índices de pgvector
+--     admiten como mucho 2000 con "vector", por eso usamos "halfvec" (hasta 4000).
+--     El backend rellena la columna sola la primera vez que arranca.
+-- ----------------------------------------------------------------------------
+-- create extension if not exists vector;
+--
+-- alter table public.ai_index add column if not exists embedding halfvec(3072);
+--
+-- create index if not exists ai_index_embedding_hnsw
+--   on public.ai_index using hnsw (embedding halfvec_cosine_ops);
+--
+-- create or replace function public.match_ai_index(
+--   query_embedding halfvec(3072),
+--   match_count int default 40,
+--   filter_ids text[] default null   -- solo estos productos (filtros de talla, precio...)
+-- )
+-- returns table (id text, similarity float)
+-- language sql stable
+-- as $$
+--   select id, 1 - (embedding <=> query_embedding) as similarity
+--   from public.ai_index
+--   where embedding is not null
+--     and (filter_ids is null or id = any(filter_ids))
+--   order by embedding <=> query_embedding
+--   limit match_count;
+-- $$;
+
+-- ----------------------------------------------------------------------------
+-- 1c) ESTADO DE CADA CONVERSACIÓN
+--     Pedido activo, email verificado, producto en foco, talla/color elegidos
+--     y qué dato está esperando el bot. El backend la lee y escribe en cada
+--     mensaje (con caché en memoria).
+-- ----------------------------------------------------------------------------
+create table if not exists public.chat_state (
+  session_id  text primary key,
+  state       jsonb not null default '{}'::jsonb,
+  updated_at  timestamptz default now()
+);
+
+-- ----------------------------------------------------------------------------
+-- 1d) DERIVACIONES A UNA PERSONA
+--     Una fila por conversación derivada: referencia, ticket del conector,
+--     estado (open / agent / closed), agente y mensajes del agente. El
+--     widget la consulta (vía backend) para mostrar lo que escribe el agente.
+-- ----------------------------------------------------------------------------
+create table if not exists public.chat_handoffs (
+  session_id  text primary key,
+  handoff     jsonb not null default '{}'::jsonb,
+  status      text not null default 'open',
+  updated_at  timestamptz default now()
+);
+
+create index if not exists chat_handoffs_status_idx on public.chat_handoffs (status, updated_at desc);
+
+-- ----------------------------------------------------------------------------
+-- 1e) AVISOS DE REPOSICIÓN ("avísame cuando vuelva mi talla")
+--     Una fila por email + variante agotada. Los emails escritos en el chat
+--     empiezan como unconfirmed hasta que pulsan el enlace de confirmación
+--     (doble opt-in). La sincronización del catálogo manda el email cuando la
+--     variante vuelve a tener stock (pending -> notified); el enlace de baja
+--     del email la pasa a unsubscribed.
+-- ----------------------------------------------------------------------------
+create table if not exists public.restock_subscriptions (
+  id             bigint generated always as identity primary key,
+  token          text not null unique,            -- para los enlaces de confirmación y baja
+  email          text not null,
+  product_id     text not null,
+  variant_id     text not null,
+  product_title  text,
+  variant_title  text,
+  handle         text,
+  lang           text not null default 'es',
+  session_id     text,
+  status         text not null default 'pending', -- unconfirmed / pending / notified / unsubscribed
+  created_at     timestamptz default now(),
+  notified_at    timestamptz
+);
+
+create index if not exists restock_subscriptions_pending_idx on public.restock_subscriptions (status, variant_id, created_at);
+create index if not exists restock_subscriptions_email_idx on public.restock_subscriptions (email, status);
+create index if not exists restock_subscriptions_session_idx on public.restock_subscriptions (session_id, status);
+
 -- ----------------------------------------------------------------------------
 -- 2) SEGURIDAD (RLS) — MUY IMPORTANTE
---    Las tablas chat_sessions y ai_index NO deben ser legibles públicamente
+--    Las tablas chat_sessions, chat_state, chat_handoffs, restock_subscriptions y ai_index NO deben ser legibles públicamente
 --    con la anon key, porque chat_sessions contiene datos personales
 --    (emails, pedidos). El backend usa la SERVICE ROLE key, que se salta el
 --    RLS, así que seguirá funcionando. El visualizador, en cambio, usa la
@@ -26,6 +111,9 @@ create table if not exists public.ai_index (
 -- Activamos RLS (por defecto, sin políticas, NADIE puede leer con anon key)
 alter table public.chat_sessions enable row level security;
 alter table public.ai_index      enable row level security;
+alter table public.chat_state    enable row level security; -- Solo backend (contiene emails)
+alter table public.chat_handoffs enable row level security; -- Solo backend
+alter table public.restock_subscriptions enable row level security; -- Solo backend (contiene emails)
 
 -- ============================================================================
 -- OPCIÓN A (RECOMENDADA): el visualizador solo accesible tras iniciar sesión.
@@ -0,0 +1,136 @@
+/* ==========================================================================
+   🔤 ÍNDICE LÉXICO BM25 (NOMBRES EXACTOS, SKUs, TECNOLOGÍAS)
+   ==========================================================================
+   Los embeddings entienden "chaqueta calentita", pero fallan con nombres
+   propios como "Naluns", referencias o "Mount-Loft". Este índice invertido
+   puntúa por coincidencia literal de términos (BM25 con pesos por campo:
+   una coincidencia en el título vale más que en los metafields).
+   ========================================================================== */
+
+// Palabras vacías que no aportan nada para distinguir productos
+const STOPWORDS = new Set([
+    "de", "del", "la", "las", "el", "los", "un", "una", "unos", "unas", "y", "o", "a", "en", "con", "sin",
+    "para", "por", "que", "me", "mi", "tu", "se", "al", "lo", "es", "hay", "quiero", "busco", "tienes",
+    "the", "and", "for", "with", "of"
+]);
+
+// Minúsculas, sin tildes. "Mount-Loft" genera "mount-loft", "mount", "loft" y "mountloft".
+export function tokenize(text) {
+    if (!text) return [];
+    const normalized = String(text)
+        .toLowerCase()
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "");
+
+    const tokens = [];
+    for (const raw of normalized.split(/[^a-z0-9-]+/)) {
+        const word = raw.replace(/^-+|-+$/g, "");
+        if (!word || STOPWORDS.has(word)) continue;
+        tokens.push(word);
+        if (word.includes("-")) {
+            word.split("-").filter(part => part && !STOPWORDS.has(part)).forEach(part => tokens.push(part));
+            tokens.push(word.replace(/-/g, ""));
+        }
+    }
+    return tokens;
+}
+
+// fields: { nombreCampo: peso }. Cada documento: { id, fields: { nombreCampo: texto } }
+export function createBm25Index({ fields = { title: 1 }, k1 = 1.2, b = 0.75 } = {}) {
+    let postings = new Map();   // término -> Map(id -> frecuencia ponderada)
+    let docLengths = new Map(); // id -> longitud ponderada
+    let titleTerms = new Map(); // id -> Set(términos del título)
+    let titleDf = new Map();    // término -> nº de títulos que lo contienen
+    let avgLength = 0;
+
+    function build(docs) {
+        const nextPostings = new Map();
+        const nextLengths = new Map();
+        const nextTitleTerms = new Map();
+        const nextTitleDf = new Map();
+        let total = 0;
+
+        for (const doc of docs) {
+            const id = String(doc.id);
+            const tf = new Map();
+            let length = 0;
+
+            for (const [field, weight] of Object.entries(fields)) {
+                const tokens = tokenize(doc.fields[field]);
+                tokens.forEach(t => tf.set(t, (tf.get(t) || 0) + weight));
+                length += tokens.length * weight;
+
+                if (field === "title") {
+                    const unique = new Set(tokens);
+                    nextTitleTerms.set(id, unique);
+                    unique.forEach(t => nextTitleDf.set(t, (nextTitleDf.get(t) || 0) + 1));
+                }
+            }
+
+            tf.forEach((freq, term) => {
+                if (!nextPostings.has(term)) nextPostings.set(term, new Map());
+                nextPostings.get(term).set(id, freq);
+            });
+            nextLengths.set(id, length);
+            total += length;
+        }
+
+        // Sustitución de golpe, igual que aiIndex
+        postings = nextPostings;
+        docLengths = nextLengths;
+        titleTerms = nextTitleTerms;
+        titleDf = nextTitleDf;
+        avgLength = docs.length ? total / docs.length : 0;
+    }
+
+    function idf(df, n) {
+        return Math.log(1 + (n - df + 0.5) / (df + 0.5));
+    }
+
+    // [{ id, score }] ordenado por BM25. allowedIds (Set) limita a esos productos.
+    function search(query, k = 40, allowedIds = null) {
+        const n = docLengths.size;
+        if (n === 0) return [];
+
+        const scores = new Map();
+        for (const term of new Set(tokenize(query))) {
+            const posting = postings.get(term);
+            if (!posting) continue;
+            const termIdf = idf(posting.size, n);
+
+            posting.forEach((freq, id) => {
+                if (allowedIds && !allowedIds.has(id)) return;
+                const norm = k1 * (1 - b + b * (docLengths.get(id) / (avgLength || 1)));
+                const score = termIdf * (freq * (k1 + 1)) / (freq + norm);
+                scores.set(id, (scores.get(id) || 0) + score);
+            });
+        }
+
+        return [...scores.entries()]
+            .map(([id, score]) => ({ id, score }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, k);
+    }
+
+    // Cobertura del título (0..1): de los términos de la query que existen en algún
+    // título del catálogo, qué parte (ponderada por rareza) aparece en ESTE título.
+    // "chaqueta naluns" -> los Naluns ~1, otra chaqueta cualquiera ~0,1.
+    function titleCoverage(query, id) {
+        const terms = titleTerms.get(String(id));
+        if (!terms) return 0;
+        const n = titleTerms.size;
+
+        let matched = 0;
+        let possible = 0;
+        for (const term of new Set(tokenize(query))) {
+            const df = titleDf.get(term);
+            if (!df) continue;
+            const weight = idf(df, n);
+            possible += weight;
+            if (terms.has(term)) matched += weight;
+        }
+        return possible > 0 ? matched / possible : 0;
+    }
+
+    return { build, search, titleCoverage, size: () => docLengths.size };
+}
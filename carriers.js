@@ -0,0 +1,151 @@
+/* ==========================================================================
+   🚚 TRANSPORTISTAS Y ESTADOS DE ENVÍO
+   ==========================================================================
+   Shopify guarda el transportista como texto libre ("DHL Express", "GLS")
+   o como código interno de la integración de logística ("0002", "0003").
+   Este registro los traduce a un nombre legible y un enlace de seguimiento
+   (solo si Shopify no trae el suyo, que es más preciso, salvo `overrideUrl`),
+   y explica en cristiano los estados de Shopify (IN_TRANSIT, READY_FOR_PICKUP...).
+
+   Para añadir un transportista: nueva entrada en CARRIERS con sus códigos,
+   un patrón para el nombre y la plantilla del enlace ({number} = tracking).
+   `overrideUrl: true` usa la plantilla aunque Shopify traiga enlace.
+   Los que no reconocemos salen en los logs ("Transportista desconocido").
+   ========================================================================== */
+
+export const SUPPORTED_LANGUAGES = ["es", "en", "fr", "pt"];
+
+const CARRIERS = [
+    {
+        key: "correos_express",
+        name: "Correos Express",
+        codes: ["0002"],
+        pattern: /correos\s*express|^cex$/i,
+        trackingUrl: "https://s.correosexpress.com/SeguimientoSinCP/search?shippingNumber={number}"
+    },
+    {
+        key: "dhl",
+        name: "DHL",
+        codes: ["0003"],
+        pattern: /\bdhl\b/i,
+        trackingUrl: "https://www.dhl.com/es-es/home/tracking.html?tracking-id={number}&submit=1",
+        overrideUrl: true // Como antes en getOrderStatus: con DHL siempre su enlace público
+    },
+    {
+        key: "gls",
+        name: "GLS",
+        codes: [],
+        pattern: /\bgls\b/i,
+        trackingUrl: "https://gls-group.com/ES/es/seguimiento-envio?match={number}"
+    },
+    {
+        key: "seur",
+        name: "SEUR",
+        codes: [],
+        pattern: /\bseur\b/i,
+        trackingUrl: "https://www.seur.com/livetracking/?segOnlineIdentificador={number}"
+    },
+    {
+        // Después de Correos Express para que "Correos Express" no caiga aquí
+        key: "correos",
+        name: "Correos",
+        codes: [],
+        pattern: /\bcorreos\b/i,
+        trackingUrl: "https://www.correos.es/es/es/herramientas/localizador/envios/detalle?tracking-number={number}"
+    },
+    {
+        // Entrega en punto de recogida (tiendas asociadas o taquillas). El enlace lo da Shopify.
+        key: "pudo",
+        name: "Punto de recogida PUDO",
+        codes: [],
+        pattern: /\bpudo\b|punto\s*pack|pick\s*up\s*point|punto de recogida|taquilla|locker/i,
+        trackingUrl: null,
+        statusOverrides: {
+            READY_FOR_PICKUP: {
+                es: "Ya está en el punto de recogida PUDO: puedes ir a buscarlo con tu DNI y el código del email.",
+                en: "It's waiting at the PUDO pick-up point: collect it with your ID and the code from the email.",
+                fr: "Il vous attend au point de retrait PUDO : récupérez-le avec votre pièce d'identité et le code reçu par e-mail.",
+                pt: "Já está no ponto de recolha PUDO: pode levantá-lo com o seu documento de identificação e o código do email."
+            },
+            PICKED_UP: {
+                es: "Se recogió en el punto PUDO.",
+                en: "It was collected from the PUDO point.",
+                fr: "Il a été retiré au point PUDO.",
+                pt: "Foi levantado no ponto PUDO."
+            }
+        }
+    }
+];
+
+// Estados de Shopify: de cada envío (FulfillmentDisplayStatus) y del pedido (OrderDisplayFulfillmentStatus)
+const STATUS_TEXT = {
+    // Envío
+    LABEL_PRINTED: { es: "Etiqueta creada, pendiente de que lo recoja el transportista.", en: "Label created, waiting for the carrier to pick it up.", fr: "Étiquette créée, en attente de prise en charge par le transporteur.", pt: "Etiqueta criada, à espera de recolha pela transportadora." },
+    LABEL_PURCHASED: { es: "Etiqueta creada, pendiente de que lo recoja el transportista.", en: "Label created, waiting for the carrier to pick it up.", fr: "Étiquette créée, en attente de prise en charge par le transporteur.", pt: "Etiqueta criada, à espera de recolha pela transportadora." },
+    CONFIRMED: { es: "El transportista ha confirmado el envío.", en: "The carrier has confirmed the shipment.", fr: "Le transporteur a confirmé l'envoi.", pt: "A transportadora confirmou o envio." },
+    IN_TRANSIT: { es: "En camino.", en: "On its way.", fr: "En cours d'acheminement.", pt: "A caminho." },
+    OUT_FOR_DELIVERY: { es: "En reparto: llega hoy.", en: "Out for delivery: arriving today.", fr: "En cours de livraison : arrive aujourd'hui.", pt: "Em distribuição: chega hoje." },
+    ATTEMPTED_DELIVERY: { es: "El transportista intentó entregarlo sin éxito; volverá a intentarlo o dejará aviso.", en: "The carrier tried to deliver it without success; they will retry or leave a notice.", fr: "Le transporteur a tenté de le livrer sans succès ; il réessaiera ou laissera un avis.", pt: "A transportadora tentou entregar sem sucesso; vai tentar de novo ou deixar aviso." },
+    READY_FOR_PICKUP: { es: "Listo para recoger en el punto de recogida.", en: "Ready for pick-up at the collection point.", fr: "Prêt à être retiré au point de retrait.", pt: "Pronto para levantar no ponto de recolha." },
+    PICKED_UP: { es: "Recogido por el cliente.", en: "Collected by the customer.", fr: "Retiré par le client.", pt: "Levantado pelo cliente." },
+    DELIVERED: { es: "Entregado.", en: "Delivered.", fr: "Livré.", pt: "Entregue." },
+    NOT_DELIVERED: { es: "No se pudo entregar: contacta con info@izas-outdoor.com.", en: "It could not be delivered: please contact info@izas-outdoor.com.", fr: "Il n'a pas pu être livré : contactez info@izas-outdoor.com.", pt: "Não foi possível entregar: contacte info@izas-outdoor.com." },
+    FAILURE: { es: "Incidencia con el envío: contacta con info@izas-outdoor.com.", en: "There was a problem with the shipment: please contact info@izas-outdoor.com.", fr: "Incident sur l'envoi : contactez info@izas-outdoor.com.", pt: "Incidência no envio: contacte info@izas-outdoor.com." },
+    CANCELED: { es: "Envío anulado.", en: "Shipment cancelled.", fr: "Envoi annulé.", pt: "Envio cancelado." },
+    FULFILLED: { es: "Enviado.", en: "Shipped.", fr: "Expédié.", pt: "Enviado." },
+    MARKED_AS_FULFILLED: { es: "Enviado.", en: "Shipped.", fr: "Expédié.", pt: "Enviado." },
+    SUBMITTED: { es: "Enviado al almacén para prepararlo.", en: "Sent to the warehouse for preparation.", fr: "Transmis à l'entrepôt pour préparation.", pt: "Enviado para o armazém para preparação." },
+    // Pedido
+    UNFULFILLED: { es: "En preparación: todavía no ha salido del almacén.", en: "Being prepared: it hasn't left the warehouse yet.", fr: "En préparation : il n'a pas encore quitté l'entrepôt.", pt: "Em preparação: ainda não saiu do armazém." },
+    PENDING_FULFILLMENT: { es: "En preparación: todavía no ha salido del almacén.", en: "Being prepared: it hasn't left the warehouse yet.", fr: "En préparation : il n'a pas encore quitté l'entrepôt.", pt: "Em preparação: ainda não saiu do armazém." },
+    IN_PROGRESS: { es: "En preparación en el almacén.", en: "Being prepared at the warehouse.", fr: "En cours de préparation à l'entrepôt.", pt: "Em preparação no armazém." },
+    OPEN: { es: "En preparación en el almacén.", en: "Being prepared at the warehouse.", fr: "En cours de préparation à l'entrepôt.", pt: "Em preparação no armazém." },
+    SCHEDULED: { es: "Programado para enviarse más adelante.", en: "Scheduled to ship later.", fr: "Expédition programmée plus tard.", pt: "Envio programado para mais tarde." },
+    ON_HOLD: { es: "Retenido temporalmente; si tienes dudas, escribe a info@izas-outdoor.com.", en: "Temporarily on hold; if in doubt, write to info@izas-outdoor.com.", fr: "Temporairement en attente ; en cas de doute, écrivez à info@izas-outdoor.com.", pt: "Retido temporariamente; em caso de dúvida, escreva para info@izas-outdoor.com." },
+    PARTIALLY_FULFILLED: { es: "Enviado en parte: algunos artículos aún no han salido.", en: "Partly shipped: some items haven't left yet.", fr: "Expédié en partie : certains articles ne sont pas encore partis.", pt: "Enviado em parte: alguns artigos ainda não saíram." },
+    RESTOCKED: { es: "Pedido anulado y devuelto al stock.", en: "Order cancelled and restocked.", fr: "Commande annulée et remise en stock.", pt: "Encomenda cancelada e reposta em stock." }
+};
+
+const unknownLogged = new Set();
+
+// Busca el transportista por código exacto o por nombre. null si no lo conocemos.
+export function resolveCarrier(company) {
+    const value = String(company || "").trim();
+    if (!value) return null;
+
+    const carrier = CARRIERS.find(c => c.codes.includes(value)) || CARRIERS.find(c => c.pattern.test(value));
+    if (!carrier && !unknownLogged.has(value.toLowerCase())) {
+        unknownLogged.add(value.toLowerCase());
+        console.warn(`🚚 Transportista desconocido: "${value}" (añádelo a carriers.js)`);
+    }
+    return carrier || null;
+}
+
+// trackingInfo de Shopify ({ number, url, company }) -> { carrier, number, url }
+export function describeTracking(tracking) {
+    const carrier = resolveCarrier(tracking?.company);
+    const number = tracking?.number || null;
+
+    // El enlace de Shopify manda (puede llevar código postal o país); la plantilla solo si no hay
+    // o si el transportista pide la suya (overrideUrl)
+    let url = tracking?.url || null;
+    if ((!url || carrier?.overrideUrl) && carrier?.trackingUrl && number) {
+        url = carrier.trackingUrl.replace("{number}", encodeURIComponent(number));
+    }
+
+    return {
+        carrier: carrier ? carrier.name : (tracking?.company || "Agencia de transporte"),
+        carrierKey: carrier ? carrier.key : null,
+        number: number || "No disponible",
+        url
+    };
+}
+
+// Explicación legible de un estado de Shopify. Si no lo conocemos, devolvemos el código tal cual.
+export function explainStatus(status, { carrierKey = null, lang = "es" } = {}) {
+    if (!status) return "";
+    const language = SUPPORTED_LANGUAGES.includes(lang) ? lang : "es";
+    const override = CARRIERS.find(c => c.key === carrierKey)?.statusOverrides?.[status];
+    const text = override || STATUS_TEXT[status];
+    return text ? text[language] : status;
+}
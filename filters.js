@@ -0,0 +1,236 @@
+/* ==========================================================================
+   🎛️ FILTROS ESTRUCTURADOS (PRECIO, TALLA, COLOR, GÉNERO, CATEGORÍA, STOCK)
+   ==========================================================================
+   "chaqueta impermeable de mujer talla L por menos de 80€ en azul" se
+   convierte en { category, gender, size, color, maxPrice } y se aplica a las
+   variantes de aiIndex ANTES de ordenar, para que las tarjetas cumplan de
+   verdad lo que se ha pedido. Si un filtro deja la lista vacía se descarta
+   (y se avisa), así nunca devolvemos "no hay nada" por una regla demasiado
+   estricta.
+   ========================================================================== */
+import { COLOR_CONCEPTS, CONCEPTS } from "./concepts.js";
+
+const SIZE_ALIASES = { xxl: "2xl", xxxl: "3xl", xxxxl: "4xl" };
+const CURRENCY = "(?:€|eur(?:os?)?\\b)";
+
+const GENDER_WORDS = {
+    mujer: /\b(mujer|mujeres|chica|chicas|femenin[oa]s?|senora|woman|women|female|femme)\b/,
+    hombre: /\b(hombre|hombres|chico|chicos|masculin[oa]s?|caballero|man|men|male|homme)\b/,
+    nino: /\b(nino|nina|ninos|ninas|infantil|junior|kids?)\b/
+};
+
+// Minúsculas y sin tildes, con espacios a los lados para buscar palabras completas
+function fold(text) {
+    return ` ${String(text || "")
+        .toLowerCase()
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .replace(/\s+/g, " ")} `;
+}
+
+function includesPhrase(folded, phrase) {
+    return folded.includes(` ${fold(phrase).trim()} `);
+}
+
+// Palabra completa admitiendo plural ("chaqueta" encuentra "chaquetas")
+function includesWordOrPlural(folded, word) {
+    const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    return new RegExp(` ${escaped}(s|es)? `).test(folded);
+}
+
+export function normalizeSize(size) {
+    const s = String(size || "").toLowerCase().trim();
+    return SIZE_ALIASES[s] || s;
+}
+
+// Genera variantes gramaticales de colores (Rojo -> Rojas, Rojos...)
+export function colorVariants(base) {
+    const variants = [base];
+    if (base.endsWith("o")) {
+        variants.push(base.replace(/o$/, "a"));
+        variants.push(base + "s");
+        variants.push(base.replace(/o$/, "os"));
+        variants.push(base.replace(/o$/, "as"));
+    } else if (base.endsWith("z")) {
+        variants.push(base.replace(/z$/, "ces"));
+    } else if (/[aeiouáéíóú]$/i.test(base)) {
+        variants.push(base + "s");
+    } else {
+        variants.push(base + "es");
+    }
+    return variants.filter(Boolean);
+}
+
+// Convierte la pregunta en restricciones. Solo devuelve las claves detectadas.
+export function extractFilters(query) {
+    const q = fold(query).replace(/(\d),(\d)/g, "$1.$2"); // 79,99 -> 79.99
+    const filters = {};
+
+    // 💶 PRECIO: solo si hay moneda o se habla de precio (evita "menos de 2 días")
+    const hasPriceContext = new RegExp(CURRENCY).test(q) || /\b(precio|presupuesto|price)\b/.test(q);
+    if (hasPriceContext) {
+        const range = q.match(new RegExp(`entre\\s+(\\d+(?:\\.\\d+)?)\\s*${CURRENCY}?\\s+y\\s+(\\d+(?:\\.\\d+)?)`));
+        const max = q.match(/\b(?:menos de|por debajo de|hasta|maximo|max\.?|no mas de|under|less than|below)\s+(\d+(?:\.\d+)?)/);
+        const min = q.match(/\b(?:mas de|a partir de|desde|minimo|over|more than|above)\s+(\d+(?:\.\d+)?)/);
+        if (range) {
+            filters.minPrice = Number(range[1]);
+            filters.maxPrice = Number(range[2]);
+        } else {
+            if (max) filters.maxPrice = Number(max[1]);
+            if (min) filters.minPrice = Number(min[1]);
+        }
+    }
+
+    // 📏 TALLA: solo con la palabra "talla"/"size" delante (una "M" suelta puede ser un modelo)
+    const size = q.match(/\b(?:talla|size|taille|tamanho|numero|n[º°o]\.?)\s+(xxs|xs|s|m|l|xl|xxl|xxxl|xxxxl|[2-4]xl|\d{2}(?:[.,]5)?)\b/);
+    if (size) filters.size = normalizeSize(size[1]);
+
+    // 🎨 COLOR: nombre canónico (y sus plurales/femeninos) o cualquiera de sus sinónimos
+    for (const color of Object.values(COLOR_CONCEPTS)) {
+        const words = [...colorVariants(color.canonical), ...color.matches];
+        if (words.some(w => includesPhrase(q, w))) {
+            filters.color = color.canonical;
+            break;
+        }
+    }
+
+    // 🚻 GÉNERO
+    for (const [gender, pattern] of Object.entries(GENDER_WORDS)) {
+        if (pattern.test(q)) {
+            filters.gender = gender;
+            break;
+        }
+    }
+
+    // 🧥 CATEGORÍA: el concepto más específico que aparezca ("chaqueta impermeable" > "chaqueta")
+    let bestCategory = null;
+    for (const concept of Object.values(CONCEPTS)) {
+        const phrases = [concept.canonical, ...concept.matches].map(p => p.replace(/_/g, " "));
+        if (phrases.some(p => includesPhrase(q, p))) {
+            if (!bestCategory || concept.canonical.length > bestCategory.canonical.length) bestCategory = concept;
+        }
+    }
+    if (bestCategory) filters.category = bestCategory.canonical;
+
+    // ✅ SOLO CON STOCK
+    if (/\b(en stock|con stock|hay stock|disponibles?|in stock|available)\b/.test(q)) filters.inStock = true;
+
+    return filters;
+}
+
+/* --------------------------------------------------------------------------
+   APLICACIÓN SOBRE EL ÍNDICE
+   -------------------------------------------------------------------------- */
+
+// Se puede comprar: Shopify ya tiene en cuenta el inventario sin seguimiento y la venta sin stock
+// (availableForSale true con cantidad 0 o negativa). Todo el backend usa esta misma regla.
+export function variantInStock(variant) {
+    return Boolean(variant?.availableForSale);
+}
+
+export function variantOption(variant, pattern) {
+    const opt = (variant.selectedOptions || []).find(o => pattern.test(o.name));
+    return opt ? opt.value : null;
+}
+
+function productGender(product) {
+    const text = fold(`${product.title} ${product.productType} ${(product.tags || []).join(" ")}`);
+    const genders = Object.entries(GENDER_WORDS).filter(([, pattern]) => pattern.test(text)).map(([gender]) => gender);
+    if (genders.length > 1) return null; // Etiquetado para los dos: unisex
+    if (genders.length === 1) return genders[0];
+    // Convención de Izas en los títulos: "NALUNS M" / "NALUNS W"
+    if (/ w( |$)/.test(fold(product.title))) return "mujer";
+    if (/ m( |$)/.test(fold(product.title))) return "hombre";
+    return null; // Unisex o sin información: no se descarta
+}
+
+function matchesCategory(product, canonical) {
+    const concept = Object.values(CONCEPTS).find(c => c.canonical === canonical);
+    if (!concept) return true;
+    const text = fold(`${product.title} ${product.productType} ${(product.tags || []).join(" ")} ${(product.handle || "").replace(/-/g, " ")}`);
+    return [concept.canonical, ...concept.matches]
+        .map(p => p.replace(/_/g, " "))
+        .some(phrase => fold(phrase).trim().split(" ").every(word => includesWordOrPlural(text, word)));
+}
+
+export function matchesColor(value, canonical) {
+    const concept = Object.values(COLOR_CONCEPTS).find(c => c.canonical === canonical);
+    if (!value || !concept) return false;
+    const v = fold(value).trim();
+    return includesPhrase(fold(value), concept.canonical) || concept.matches.some(m => fold(m).trim() === v);
+}
+
+const VARIANT_CHECKS = {
+    maxPrice: (v, f) => Number(v.price) <= f.maxPrice,
+    minPrice: (v, f) => Number(v.price) >= f.minPrice,
+    size: (v, f) => normalizeSize(variantOption(v, /talla|size/i)) === f.size,
+    color: (v, f) => matchesColor(variantOption(v, /color|cor/i), f.color),
+    inStock: v => variantInStock(v)
+};
+
+const PRODUCT_CHECKS = {
+    gender: (p, f) => {
+        const g = productGender(p);
+        return !g || g === f.gender;
+    },
+    category: (p, f) => matchesCategory(p, f.category)
+};
+
+// Devuelve { products, applied, relaxed }. Cada producto lleva matchingVariantIds
+// (variantes que cumplen todos los filtros de variante aplicados).
+export function applyFilters(products, filters) {
+    const applied = [];
+    const relaxed = [];
+    let current = products;
+
+    // 1. Filtros de producto, de uno en uno: si uno vacía la lista, se descarta
+    for (const [key, check] of Object.entries(PRODUCT_CHECKS)) {
+        if (filters[key] == null) continue;
+        const next = current.filter(p => check(p, filters));
+        if (next.length > 0) {
+            current = next;
+            applied.push(key);
+        } else {
+            relaxed.push(key);
+        }
+    }
+
+    // 2. Filtros de variante: un producto pasa si alguna variante cumple todos a la vez
+    const variantKeys = [];
+    let withVariants = current.map(p => ({ product: p, variants: p.variants || [] }));
+    for (const [key, check] of Object.entries(VARIANT_CHECKS)) {
+        if (filters[key] == null) continue;
+        const next = withVariants
+            .map(({ product, variants }) => ({ product, variants: variants.filter(v => check(v, filters)) }))
+            .filter(entry => entry.variants.length > 0);
+        if (next.length > 0) {
+            withVariants = next;
+            variantKeys.push(key);
+            applied.push(key);
+        } else {
+            relaxed.push(key);
+        }
+    }
+
+    return {
+        products: withVariants.map(({ product, variants }) =>
+            variantKeys.length > 0 ? { ...product, matchingVariantIds: variants.map(v => String(v.id)) } : product
+        ),
+        applied,
+        relaxed
+    };
+}
+
+// Texto legible de los filtros para el prompt / logs
+export function describeFilters(filters, keys = Object.keys(filters)) {
+    const labels = {
+        maxPrice: f => `precio máx. ${f.maxPrice}€`,
+        minPrice: f => `precio mín. ${f.minPrice}€`,
+        size: f => `talla ${f.size.toUpperCase()}`,
+        color: f => `color ${f.color}`,
+        gender: f => `género ${f.gender}`,
+        category: f => `categoría ${f.category.replace(/_/g, " ")}`,
+        inStock: () => "solo con stock"
+    };
+    return keys.filter(k => labels[k] && filters[k] != null).map(k => labels[k](filters)).join(", ");
+}
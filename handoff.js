@@ -0,0 +1,280 @@
+/* ==========================================================================
+   🙋 DERIVACIÓN A UNA PERSONA (HANDOFF)
+   ==========================================================================
+   Cuando el cliente pide hablar con alguien:
+   1. Se abre una incidencia con la transcripción (chat_sessions) a través de
+      un conector intercambiable (HANDOFF_CONNECTOR):
+        - email:   la manda el mailer (mailer.js) a HANDOFF_EMAIL_TO.
+        - webhook: POST JSON a HANDOFF_WEBHOOK_URL (Make, Zapier, un CRM...).
+        - zendesk: crea un ticket con la API de Zendesk.
+        - none:    no se abre nada (solo se dan los datos de contacto).
+   2. Se mira el horario laboral (FAQ "horario_laboral") para decirle al
+      cliente si le atenderán ahora o cuando abramos.
+   3. Un agente puede tomar la conversación desde /api/admin/handoffs: el bot
+      deja de contestar y los mensajes del agente llegan al widget (polling).
+
+   Estado de cada derivación (tabla chat_handoffs, con caché en memoria):
+     { ref, status: "open" | "agent" | "closed", ticketId, connector, agent,
+       businessOpen, messages: [{ id, from: "user" | "agent", text, at }],
+       createdAt, updatedAt }
+   ========================================================================== */
+import crypto from "crypto";
+import fetch from "node-fetch";
+
+const CACHE_TTL_MS = 30 * 60 * 1000;
+const MAX_CACHED = 2000;
+const MAX_MESSAGES = 200; // Mensajes guardados por derivación (la conversación completa sigue en chat_sessions)
+const TICKET_TIMEOUT_MS = 10000;
+
+/* --- 🕘 HORARIO LABORAL --- */
+const DAY_INDEX = { dom: 0, lun: 1, mar: 2, mie: 3, jue: 4, vie: 5, sab: 6 };
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+// "de lunes a jueves de 08:00 a 17:00", "viernes de 07:00 a 15:00"
+const RANGE_PATTERN = /\b(lun|mar|mie|jue|vie|sab|dom)[a-z]*(?:\s+a\s+(lun|mar|mie|jue|vie|sab|dom)[a-z]*)?\s+de\s+(\d{1,2})[:.h](\d{2})\s+a\s+(\d{1,2})[:.h](\d{2})/g;
+
+function fold(text) {
+    return String(text || "").toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+}
+
+function dayRange(first, last) {
+    const start = DAY_INDEX[first];
+    const end = last ? DAY_INDEX[last] : start;
+    const days = [];
+    for (let d = start; ; d = (d + 1) % 7) {
+        days.push(d);
+        if (d === end) break;
+    }
+    return days;
+}
+
+// Texto de la FAQ -> { regular: [{ days, from, to }], summer: [...] } (minutos desde medianoche).
+// Las frases sobre tiendas físicas se ignoran: es el horario del equipo de atención.
+export function parseBusinessHours(text) {
+    const schedule = { regular: [], summer: [] };
+    for (const sentence of fold(text).split(/\.\s+|\n/)) {
+        if (/\btiendas?\b/.test(sentence)) continue;
+        const target = /\bverano\b/.test(sentence) ? schedule.summer : schedule.regular;
+        for (const m of sentence.matchAll(RANGE_PATTERN)) {
+            target.push({
+                days: dayRange(m[1], m[2]),
+                from: Number(m[3]) * 60 + Number(m[4]),
+                to: Number(m[5]) * 60 + Number(m[6])
+            });
+        }
+    }
+    return schedule.regular.length > 0 ? schedule : null;
+}
+
+// true/false según la hora local de la tienda; null si no hay horario que consultar
+export function isBusinessOpen(schedule, { now = new Date(), timeZone = "Europe/Madrid", summerMonths = [7, 8] } = {}) {
+    if (!schedule) return null;
+    const parts = Object.fromEntries(new Intl.DateTimeFormat("en-GB", {
+        timeZone, weekday: "short", month: "numeric", hour: "2-digit", minute: "2-digit", hourCycle: "h23"
+    }).formatToParts(now).map(p => [p.type, p.value]));
+
+    const day = WEEKDAY_INDEX[parts.weekday];
+    const minutes = Number(parts.hour) * 60 + Number(parts.minute);
+    const ranges = summerMonths.includes(Number(parts.month)) && schedule.summer.length ? schedule.summer : schedule.regular;
+    return ranges.some(r => r.days.includes(day) && minutes >= r.from && minutes < r.to);
+}
+
+/* --- 📝 TRANSCRIPCIÓN --- */
+const ROLE_LABELS = { user: "Cliente", assistant: "Bot", agent: "Agente" };
+
+export function formatTranscript(conversation) {
+    return (conversation || [])
+        .filter(m => m && m.content)
+        .map(m => {
+            const time = m.timestamp ? `[${new Date(m.timestamp).toISOString().slice(0, 16).replace("T", " ")}] ` : "";
+            return `${time}${ROLE_LABELS[m.role] || m.role}: ${m.content}`;
+        })
+        .join("\n");
+}
+
+/* --- 🔌 CONECTORES --- */
+function createEmailConnector({ mailer, to }) {
+    if (!mailer) throw new Error("El conector email necesita el mailer");
+    return async ticket => {
+        await mailer.send({
+            to,
+            ...(ticket.customerEmail ? { replyTo: ticket.customerEmail } : {}),
+            subject: ticket.subject,
+            text: `${ticket.summary}\n\n--- CONVERSACIÓN ---\n${ticket.transcript}`
+        });
+        return { ticketId: null };
+    };
+}
+
+function createWebhookConnector({ webhookUrl, webhookSecret }) {
+    if (!webhookUrl) throw new Error("HANDOFF_WEBHOOK_URL no está configurada");
+    return async ticket => {
+        const res = await fetch(webhookUrl, {
+            method: "POST",
+            headers: {
+                "Content-Type": "application/json",
+                ...(webhookSecret ? { Authorization: `Bearer ${webhookSecret}` } : {})
+            },
+            body: JSON.stringify(ticket),
+            signal: AbortSignal.timeout(TICKET_TIMEOUT_MS) // node-fetch v3 ya no tiene la opción timeout
+        });
+        if (!res.ok) throw new Error(`Webhook de derivación respondió ${res.status}`);
+        const data = await res.json().catch(() => ({}));
+        return { ticketId: data.ticket_id ?? data.id ?? null };
+    };
+}
+
+function createZendeskConnector({ subdomain, email, apiToken }) {
+    if (!subdomain || !email || !apiToken) throw new Error("Faltan ZENDESK_SUBDOMAIN, ZENDESK_EMAIL o ZENDESK_API_TOKEN");
+    const auth = Buffer.from(`${email}/token:${apiToken}`).toString("base64");
+    return async ticket => {
+        const res = await fetch(`https://${subdomain}.zendesk.com/api/v2/tickets.json`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json", Authorization: `Basic ${auth}` },
+            body: JSON.stringify({
+                ticket: {
+                    subject: ticket.subject,
+                    comment: { body: `${ticket.summary}\n\n${ticket.transcript}` },
+                    ...(ticket.customerEmail ? { requester: { email: ticket.customerEmail, name: ticket.customerEmail } } : {}),
+                    tags: ["chatbot", `chat_${ticket.ref}`],
+                    external_id: ticket.sessionId
+                }
+            }),
+            signal: AbortSignal.timeout(TICKET_TIMEOUT_MS) // node-fetch v3 ya no tiene la opción timeout
+        });
+        if (!res.ok) throw new Error(`Zendesk respondió ${res.status}`);
+        const data = await res.json();
+        return { ticketId: data.ticket?.id ?? null };
+    };
+}
+
+// Devuelve { kind, createTicket(ticket) }. kind "none" no abre nada (createTicket = null).
+export function createTicketConnector({ kind = "none", mailer, emailTo, webhookUrl, webhookSecret, zendesk = {} } = {}) {
+    try {
+        if (kind === "email") return { kind, createTicket: createEmailConnector({ mailer, to: emailTo }) };
+        if (kind === "webhook") return { kind, createTicket: createWebhookConnector({ webhookUrl, webhookSecret }) };
+        if (kind === "zendesk") return { kind, createTicket: createZendeskConnector(zendesk) };
+    } catch (error) {
+        console.error(`❌ Conector de derivación "${kind}" no disponible:`, error.message);
+    }
+    return { kind: "none", createTicket: null };
+}
+
+export function newHandoff({ connector, businessOpen }) {
+    const now = new Date().toISOString();
+    return {
+        ref: crypto.randomBytes(3).toString("hex").toUpperCase(),
+        status: "open",
+        ticketId: null,
+        connector,
+        agent: null,
+        businessOpen,
+        messages: [],
+        createdAt: now,
+        updatedAt: now
+    };
+}
+
+// Añade un mensaje con id correlativo (el widget pide "los posteriores a X").
+// Solo se guardan los últimos MAX_MESSAGES: los ids siguen creciendo aunque se descarten los viejos.
+export function addHandoffMessage(handoff, from, text) {
+    const last = handoff.messages[handoff.messages.length - 1];
+    const message = { id: (last?.id || 0) + 1, from, text, at: new Date().toISOString() };
+    handoff.messages.push(message);
+    if (handoff.messages.length > MAX_MESSAGES) handoff.messages.splice(0, handoff.messages.length - MAX_MESSAGES);
+    return message;
+}
+
+/* --- 🗄️ ALMACÉN (Supabase + caché en memoria, como sessionState.js) --- */
+export function createHandoffStore(supabase, { table = "chat_handoffs", onError = () => { } } = {}) {
+    const cache = new Map(); // sessionId -> { handoff, touchedAt }
+
+    function remember(sessionId, handoff) {
+        cache.delete(sessionId);
+        cache.set(sessionId, { handoff, touchedAt: Date.now() });
+        if (cache.size > MAX_CACHED) cache.delete(cache.keys().next().value);
+    }
+
+    async function get(sessionId) {
+        if (!sessionId) return null;
+        const cached = cache.get(sessionId);
+        if (cached && Date.now() - cached.touchedAt < CACHE_TTL_MS) return cached.handoff;
+
+        const { data, error } = await supabase
+            .from(table)
+            .select("handoff")
+            .eq("session_id", sessionId)
+            .maybeSingle();
+        if (error) {
+            console.error("❌ Error leyendo derivación:", error.message || error);
+            onError(error);
+            return cached ? cached.handoff : null;
+        }
+        const handoff = data?.handoff || null;
+        remember(sessionId, handoff);
+        return handoff;
+    }
+
+    async function save(sessionId, handoff) {
+        handoff.updatedAt = new Date().toISOString();
+        remember(sessionId, handoff);
+        const { error } = await supabase
+            .from(table)
+            .upsert({ session_id: sessionId, handoff, status: handoff.status, updated_at: handoff.updatedAt }, { onConflict: "session_id" });
+        if (error) {
+            console.error("❌ Error guardando derivación:", error.message || error);
+            onError(error);
+        }
+    }
+
+    // Derivaciones abiertas o en manos de un agente (para el panel)
+    async function listActive() {
+        const { data, error } = await supabase
+            .from(table)
+            .select("session_id, handoff")
+            .in("status", ["open", "agent"])
+            .order("updated_at", { ascending: false })
+            .limit(100);
+        if (error) {
+            onError(error);
+            throw error;
+        }
+        return data.map(row => ({ sessionId: row.session_id, ...row.handoff }));
+    }
+
+    const cleanup = setInterval(() => {
+        const limit = Date.now() - CACHE_TTL_MS;
+        for (const [key, entry] of cache) {
+            if (entry.touchedAt < limit) cache.delete(key);
+        }
+    }, CACHE_TTL_MS);
+    cleanup.unref();
+
+    return { get, save, listActive };
+}
+
+/* --- 💬 RESPUESTAS AL CLIENTE --- */
+const HANDOFF_REPLIES = {
+    open: {
+        es: "¡Claro! He pasado tu conversación a nuestro equipo (incidencia #{ref}). Una persona te escribirá aquí en unos minutos, no cierres esta ventana. Si lo prefieres, también puedes escribir a info@izas-outdoor.com o llamar al 976502040.",
+        en: "Of course! I've passed your conversation to our team (case #{ref}). Someone will write to you here in a few minutes, please keep this window open. You can also email info@izas-outdoor.com or call +34 976502040.",
+        fr: "Bien sûr ! J'ai transmis votre conversation à notre équipe (dossier #{ref}). Une personne vous écrira ici dans quelques minutes, ne fermez pas cette fenêtre. Vous pouvez aussi écrire à info@izas-outdoor.com ou appeler le +34 976502040.",
+        pt: "Claro! Passei a sua conversa à nossa equipa (pedido de apoio #{ref}). Uma pessoa vai escrever-lhe aqui dentro de alguns minutos, não feche esta janela. Também pode escrever para info@izas-outdoor.com ou ligar para +34 976502040."
+    },
+    closed: {
+        es: "Ahora mismo estamos fuera del horario laboral, pero he pasado tu conversación a nuestro equipo (incidencia #{ref}) y la revisarán en cuanto abramos. También puedes escribir a info@izas-outdoor.com o llamar al 976502040 dentro del horario laboral.",
+        en: "We're outside business hours right now, but I've passed your conversation to our team (case #{ref}) and they'll review it as soon as we open. You can also email info@izas-outdoor.com or call +34 976502040 during business hours.",
+        fr: "Nous sommes actuellement hors des heures d'ouverture, mais j'ai transmis votre conversation à notre équipe (dossier #{ref}) et elle sera traitée dès notre ouverture. Vous pouvez aussi écrire à info@izas-outdoor.com ou appeler le +34 976502040 pendant les heures d'ouverture.",
+        pt: "Neste momento estamos fora do horário laboral, mas passei a sua conversa à nossa equipa (pedido de apoio #{ref}) e será revista assim que abrirmos. Também pode escrever para info@izas-outdoor.com ou ligar para +34 976502040 dentro do horário laboral."
+    },
+    already: {
+        es: "Ya hemos avisado a nuestro equipo (incidencia #{ref}). En cuanto una persona esté disponible te escribirá aquí.",
+        en: "Our team has already been notified (case #{ref}). Someone will write to you here as soon as they're available.",
+        fr: "Notre équipe a déjà été prévenue (dossier #{ref}). Une personne vous écrira ici dès qu'elle sera disponible.",
+        pt: "A nossa equipa já foi avisada (pedido de apoio #{ref}). Assim que alguém estiver disponível, vai escrever-lhe aqui."
+    }
+};
+
+export function handoffReply(kind, lang, values = {}) {
+    const texts = HANDOFF_REPLIES[kind];
+    return (texts[lang] || texts.es).replace(/\{(\w+)\}/g, (_, key) => values[key] ?? "");
+}
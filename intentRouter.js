@@ -0,0 +1,151 @@
+/* ==========================================================================
+   🧭 ROUTER DE INTENCIONES (ANTES DEL PIPELINE)
+   ==========================================================================
+   Clasifica cada mensaje con reglas baratas (sin llamar a OpenAI) para no
+   gastar búsqueda, stock y gpt-4o en un "hola" o un "gracias":
+
+     greeting / thanks / human -> respuesta fija, sin IA.
+     faq                        -> solo FAQs + modelo pequeño.
+     order / member             -> bucle de herramientas limitado a las suyas.
+     product                    -> bucle completo (por defecto).
+
+   Orden de prioridad: human > order > member > greeting > thanks > faq > product.
+   Saludo y agradecimiento solo cuentan si el mensaje no dice NADA más
+   ("hola, busco una chaqueta" es una búsqueda de producto).
+   ========================================================================== */
+import { extractFilters } from "./filters.js";
+
+// Etiqueta que se guarda como `category` de la sesión en chat_sessions
+export const INTENT_CATEGORIES = {
+    greeting: "SALUDO",
+    thanks: "AGRADECIMIENTO",
+    human: "DERIVACION_HUMANA",
+    order: "PEDIDOS",
+    faq: "FAQ",
+    member: "IZAS_MEMBERS",
+    product: "PRODUCTOS"
+};
+
+// Palabra clave -> idioma (para contestar los atajos en el idioma del cliente)
+const GREETING_CORE = {
+    hola: "es", buenas: "es", buenos: "es",
+    hi: "en", hello: "en", hey: "en", good: "en",
+    bonjour: "fr", salut: "fr", bonsoir: "fr",
+    ola: "pt", oi: "pt", bom: "pt", boa: "pt"
+};
+const GREETING_FILLER = new Set(["dias", "tardes", "noches", "que", "tal", "morning", "afternoon", "evening", "there", "dia", "tarde", "noite", "a", "todos"]);
+
+const THANKS_CORE = {
+    gracias: "es",
+    thanks: "en", thank: "en", thx: "en",
+    merci: "fr",
+    obrigado: "pt", obrigada: "pt"
+};
+const THANKS_FILLER = new Set([
+    "muchas", "mil", "vale", "ok", "okay", "perfecto", "genial", "estupendo", "de", "nada", "todo", "por", "la", "ayuda", "muy", "amable",
+    "no", "you", "so", "much", "a", "lot", "great", "perfect", "beaucoup", "parfait", "muito", "perfeito", "super", "bien", "si"
+]);
+
+const HUMAN_PATTERN = /\b(agente|humano|humana|persona real|(hablar|habla|contactar) con (alguien|una persona)|atencion al cliente|human|real person|(talk|speak) to (someone|a person)|live agent|agent|humain|conseiller|atendente|pessoa real)\b/;
+function humanLanguage(phrase) {
+    if (/^(human|real person|talk|speak|live agent|agent)\b/.test(phrase)) return "en";
+    if (/^(humain|conseiller)/.test(phrase)) return "fr";
+    if (/^(atendente|pessoa)/.test(phrase)) return "pt";
+    return "es";
+}
+// Contexto claro de un pedido ya hecho: "mi pedido", "seguimiento", "order status"...
+const ORDER_STATUS_PATTERN = /\b((mis?|el|del|su|tus?) pedidos?|seguimiento|tracking|my orders?|order status|(ma|mes|la) commandes?|suivi|(a|as|minhas?|da) encomendas?)\b/;
+// "pedido" a secas también puede ser una compra ("quiero hacer un pedido de una chaqueta")
+const ORDER_WORD = /\b(pedidos?|commandes?|encomendas?)\b/;
+const PURCHASE_PATTERN = /\b((hacer|realizar|hago) (un|el) pedido|place an order|passer (une )?commande|fazer uma encomenda)\b/;
+// Preguntas de seguimiento que, con un pedido activo, siguen siendo sobre el pedido
+const ORDER_FOLLOW_UP = /\b(llega|entrega|envi|paquete|transportista|devoluci|cancel|estado|where|when)/;
+const MEMBER_PATTERN = /\b(mis puntos|mi nivel|mi saldo|cuantos puntos|(que|cuales) (ventajas|beneficios) tengo|my points|my level|my tier|my balance|mes points|mon niveau|meus pontos|meu nivel)\b/;
+const FAQ_PATTERN = /\b(envios?|enviais|envias|gastos de envio|plazos? de entrega|devolucion(es)?|devolver|cambios?|reembolsos?|pagos?|pagar|paypal|bizum|tarjeta|factura|tiendas?|horarios?|garantias?|cupon|codigo de descuento|shipping|delivery|returns?|refunds?|payments?|stores?|opening hours|warranty|livraison|retours?|remboursement|paiement|magasins?|envio|devolucao|pagamento|lojas?)\b/;
+
+// minúsculas, sin tildes ni signos: "¡¡Hola!! 👋" -> "hola"
+function fold(text) {
+    return String(text || "")
+        .toLowerCase()
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .replace(/[^a-z0-9@#\s]/g, " ")
+        .replace(/\s+/g, " ")
+        .trim();
+}
+
+// ¿El mensaje es SOLO palabras de esta lista (con al menos una "núcleo")? Devuelve el idioma.
+function onlyWords(words, core, filler, maxWords) {
+    if (words.length === 0 || words.length > maxWords) return null;
+    let lang = null;
+    for (const word of words) {
+        if (core[word]) lang = lang || core[word];
+        else if (!filler.has(word)) return null;
+    }
+    return lang;
+}
+
+/**
+ * { intent, lang } — lang solo cuando la propia palabra clave delata el idioma (atajos).
+ * state: estado de la sesión (sessionState.js); mentions: readOrderMentions() de este mensaje.
+ */
+export function classifyIntent(text, { state = null, mentions = {} } = {}) {
+    const q = fold(text);
+    const words = q.split(" ").filter(Boolean);
+
+    const human = q.match(HUMAN_PATTERN);
+    if (human) return { intent: "human", lang: humanLanguage(human[1]) };
+
+    // El bot acaba de pedir el email para un aviso de reposición: no es un pedido
+    if (state?.pendingQuestion === "restock_email") return { intent: "product", lang: null };
+
+    const waitingForOrderData = ["order_id", "email", "otp"].includes(state?.pendingQuestion);
+    // Sin contexto de estado, "pedido" con pistas de producto (categoría, talla...) es una compra
+    const orderWord = ORDER_WORD.test(q) && !PURCHASE_PATTERN.test(q) && Object.keys(extractFilters(text)).length === 0;
+    if (ORDER_STATUS_PATTERN.test(q) || orderWord || mentions.orderId || mentions.email || waitingForOrderData
+        || (state?.orderId && ORDER_FOLLOW_UP.test(q))) {
+        return { intent: "order", lang: null };
+    }
+
+    if (MEMBER_PATTERN.test(q)) return { intent: "member", lang: null };
+
+    const greetingLang = onlyWords(words, GREETING_CORE, GREETING_FILLER, 5);
+    if (greetingLang) return { intent: "greeting", lang: greetingLang };
+
+    const thanksLang = onlyWords(words, THANKS_CORE, THANKS_FILLER, 8);
+    if (thanksLang) return { intent: "thanks", lang: thanksLang };
+
+    // Duda general sin pistas de producto (ni categoría, ni talla, ni color...)
+    if (FAQ_PATTERN.test(q) && Object.keys(extractFilters(text)).length === 0) return { intent: "faq", lang: null };
+
+    return { intent: "product", lang: null };
+}
+
+/* --- 💬 RESPUESTAS FIJAS (sin IA) --- */
+const CANNED_REPLIES = {
+    greeting: {
+        es: "¡Hola! 👋 Soy el asistente de Izas Outdoor. Puedo ayudarte a encontrar ropa de montaña, revisar tallas y stock, consultar tu pedido o resolver dudas de envíos y devoluciones. ¿Qué necesitas?",
+        en: "Hi! 👋 I'm the Izas Outdoor assistant. I can help you find outdoor clothing, check sizes and stock, look up your order or answer questions about shipping and returns. What do you need?",
+        fr: "Bonjour ! 👋 Je suis l'assistant d'Izas Outdoor. Je peux vous aider à trouver des vêtements de montagne, vérifier les tailles et le stock, suivre votre commande ou répondre à vos questions sur la livraison et les retours. Que puis-je faire pour vous ?",
+        pt: "Olá! 👋 Sou o assistente da Izas Outdoor. Posso ajudar a encontrar roupa de montanha, ver tamanhos e stock, consultar a sua encomenda ou esclarecer dúvidas sobre envios e devoluções. Em que posso ajudar?"
+    },
+    thanks: {
+        es: "¡A ti! Si necesitas algo más, aquí estoy. 🏔️",
+        en: "You're welcome! If you need anything else, I'm here. 🏔️",
+        fr: "Avec plaisir ! Si vous avez besoin d'autre chose, je suis là. 🏔️",
+        pt: "De nada! Se precisar de mais alguma coisa, estou aqui. 🏔️"
+    },
+    human: {
+        es: "¡Claro! Escríbenos a info@izas-outdoor.com o llama al 976502040 dentro del horario laboral.",
+        en: "Of course! Email us at info@izas-outdoor.com or call +34 976502040 during business hours.",
+        fr: "Bien sûr ! Écrivez-nous à info@izas-outdoor.com ou appelez le +34 976502040 pendant les heures d'ouverture.",
+        pt: "Claro! Escreva-nos para info@izas-outdoor.com ou ligue para +34 976502040 dentro do horário laboral."
+    }
+};
+
+// Texto fijo para los atajos, o null si la intención necesita IA
+export function cannedReply(intent, lang = "es") {
+    const texts = CANNED_REPLIES[intent];
+    if (!texts) return null;
+    return texts[lang] || texts.es;
+}
@@ -6,6 +6,11 @@
    - sessionId con crypto.randomUUID() (con fallback).
    - Expiración real del historial guardado en localStorage (24h).
    - fetch con timeout real (AbortController) para no colgar la UI.
+   - Respuestas en streaming (SSE) con vuelta automática al endpoint JSON.
+   - Cliente con sesión: perfil Izas Members (token firmado) en cada mensaje.
+   - Derivación a una persona: los mensajes del agente llegan por polling.
+   - Tarjetas con selector de talla/color y "Añadir al carrito" (/cart/add.js);
+     el carrito viaja en cada mensaje para que el bot lo tenga en cuenta.
    - Listeners de scroll/resize con throttle (mejor rendimiento).
    - Placeholder de imagen propio (sin depender de via.placeholder.com).
    - Sin substr() deprecado.
@@ -20,6 +25,8 @@ let sessionId = null;
 let inactivityTimer;
 let hasAskedFeedback = false;
 let viewedProducts = []; // Array local de productos vistos
+let handoff = null; // Derivación a una persona en curso: { ref, status, agent, lastMessageId }
+let handoffTimer = null;
 
 // ⚠️ IMPORTANTE: Si estás probando en local, usa http://localhost:3000
 const BACKEND_URL = "https://izas-chatbot-backend.onrender.com";
@@ -28,6 +35,13 @@ const BACKEND_URL = "https://izas-chatbot-backend.onrender.com";
 const CHAT_STATE_TTL_MS = 24 * 60 * 60 * 1000;
 // Timeout de las peticiones al backend (ms).
 const FETCH_TIMEOUT_MS = 25000;
+// Perfil de Izas Members (App Proxy de Shopify) y cuánto lo guardamos en sessionStorage.
+const MEMBER_PROFILE_URL = "/apps/izas-members/perfil";
+const MEMBER_PROFILE_TTL_MS = 15 * 60 * 1000;
+// Cada cuánto preguntamos por mensajes del agente mientras hay una derivación abierta.
+const HANDOFF_POLL_MS = 5000;
+// Líneas del carrito que mandamos al backend como contexto.
+const CART_MAX_ITEMS = 20;
 // Placeholder de imagen embebido (no depende de servicios externos).
 const IMG_PLACEHOLDER = "data:image/svg+xml;charset=UTF-8," + encodeURIComponent(
     `<svg xmlns="http://www.w3.org/2000/svg" width="150" height="150"><rect width="100%" height="100%" fill="#eef1f4"/><text x="50%" y="50%" dominant-baseline="middle" text-anchor="middle" font-family="sans-serif" font-size="14" fill="#9aa5b1">Izas</text></svg>`
@@ -87,12 +101,139 @@ async function fetchWithTimeout(url, options = {}, timeout = FETCH_TIMEOUT_MS) {
     }
 }
 
+// Handle del producto que el usuario está viendo (null si no está en una ficha).
+function getContextHandle() {
+    if (!window.location.pathname.includes("/products/")) return null;
+    const parts = window.location.pathname.split("/products/");
+    return parts.length > 1 ? parts[1].split("/")[0].split("?")[0] : null;
+}
+
+// Ruta de la tienda (con idioma/mercado si lo hay): "/", "/en/"...
+function shopRoot() {
+    return (window.Shopify && window.Shopify.routes && window.Shopify.routes.root) || "/";
+}
+
+// Carrito de Shopify resumido para el bot (null si no se puede leer).
+async function getCart() {
+    try {
+        const res = await fetchWithTimeout(`${shopRoot()}cart.js`, {}, 3000);
+        if (!res.ok) return null;
+        const cart = await res.json();
+        return {
+            item_count: cart.item_count || 0,
+            total: (cart.total_price || 0) / 100,
+            items: (cart.items || []).slice(0, CART_MAX_ITEMS).map(item => ({
+                variant_id: String(item.variant_id || item.id),
+                product_id: String(item.product_id),
+                title: item.product_title || item.title,
+                variant_title: item.variant_title || "",
+                quantity: item.quantity,
+                price: (item.final_line_price ?? item.line_price ?? 0) / 100
+            }))
+        };
+    } catch (e) {
+        return null;
+    }
+}
+
+// Nº de artículos en el carrito de Shopify (0 si no se puede leer).
+async function getCartCount() {
+    const cart = await getCart();
+    return cart ? cart.item_count : 0;
+}
+
+// Añade una variante al carrito de Shopify. Devuelve { ok, message }.
+async function addToCart(variantId, quantity = 1) {
+    try {
+        const res = await fetchWithTimeout(`${shopRoot()}cart/add.js`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json", "Accept": "application/json" },
+            body: JSON.stringify({ items: [{ id: Number(variantId), quantity }] })
+        }, 8000);
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) return { ok: false, message: data.description || data.message || "No se ha podido añadir" };
+        // Aviso para que el theme refresque el contador / mini-carrito
+        document.dispatchEvent(new CustomEvent("cart:refresh", { bubbles: true }));
+        return { ok: true };
+    } catch (e) {
+        return { ok: false, message: "Error de conexión" };
+    }
+}
+
+// ID del cliente de Shopify si ha iniciado sesión (null si es anónimo).
+function getShopifyCustomerId() {
+    const id = (window.__st && window.__st.cid)
+        || (window.ShopifyAnalytics && window.ShopifyAnalytics.meta && window.ShopifyAnalytics.meta.page && window.ShopifyAnalytics.meta.page.customerId);
+    return id ? String(id) : null;
+}
+
+function getLoginUrl() {
+    return `${window.location.origin}${shopRoot()}account/login?return_url=${encodeURIComponent(window.location.pathname)}`;
+}
+
+// Caducidad (ms) del token firmado, leída del propio JWT. 0 si no se puede leer.
+function tokenExpiresAt(token) {
+    try {
+        const payload = JSON.parse(atob(token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/")));
+        return payload.exp ? payload.exp * 1000 : 0;
+    } catch (e) {
+        return 0;
+    }
+}
+
+// 🎖️ Contexto de socio para el backend: { member_token, member_context, customer_email, login_url }.
+//    El perfil sale del App Proxy (/apps/izas-members/perfil) y se cachea en sessionStorage
+//    para no pedirlo en cada mensaje. El backend SOLO se fía del token firmado.
+async function getMemberContext() {
+    const context = { login_url: getLoginUrl() };
+    const customerId = getShopifyCustomerId();
+    if (!customerId) {
+        try { sessionStorage.removeItem("izas_member_profile"); } catch (e) { /* modo privado */ }
+        return context;
+    }
+
+    let cached = null;
+    try { cached = JSON.parse(sessionStorage.getItem("izas_member_profile")); } catch (e) { cached = null; }
+
+    const isFresh = cached
+        && cached.customerId === customerId
+        && cached.expiresAt > Date.now();
+
+    if (!isFresh) {
+        cached = { customerId, profile: null, expiresAt: Date.now() + MEMBER_PROFILE_TTL_MS };
+        try {
+            const res = await fetchWithTimeout(MEMBER_PROFILE_URL, { headers: { Accept: "application/json" } }, 4000);
+            if (res.ok) {
+                const profile = await res.json();
+                cached.profile = profile;
+                // Renovamos un minuto antes de que caduque el token
+                const tokenExp = profile.token ? tokenExpiresAt(profile.token) : 0;
+                if (tokenExp) cached.expiresAt = Math.min(cached.expiresAt, tokenExp - 60 * 1000);
+            }
+        } catch (e) {
+            console.warn("No se pudo leer el perfil de Izas Members:", e);
+            cached.expiresAt = Date.now() + 60 * 1000; // Reintento en 1 min
+        }
+        try { sessionStorage.setItem("izas_member_profile", JSON.stringify(cached)); } catch (e) { /* modo privado */ }
+    }
+
+    const profile = cached.profile;
+    if (!profile) return context;
+    return {
+        ...context,
+        member_token: profile.token || null,
+        member_context: { nivel: profile.nivel, puntos: profile.puntos, saldoDisponible: profile.saldoDisponible },
+        customer_email: profile.email || null
+    };
+}
+
 /* ================== GESTIÓN DE ALMACENAMIENTO ================== */
 function saveChatState() {
     const state = {
         history: chatHistory,
         sessionId: sessionId,
         visibleIds: visibleProductIds,
+        handoff: handoff,
         timestamp: Date.now()
     };
     try {
@@ -124,6 +265,7 @@ function loadChatState() {
         sessionId = parsed.sessionId;
         chatHistory = parsed.history || [];
         visibleProductIds = parsed.visibleIds || [];
+        handoff = parsed.handoff || null;
 
         const chatMessages = document.getElementById("chat-messages");
         if (chatMessages) {
@@ -363,13 +505,19 @@ window.toggleChat = function () {
 
         if (typeof chatHistory !== 'undefined' && chatHistory.length === 0) {
             if (!sessionId) sessionId = generateSessionId();
-            fetchWithTimeout(`${BACKEND_URL}/api/chat/init`, {
-                method: 'POST',
-                headers: { "Content-Type": "application/json" },
-                body: JSON.stringify({ session_id: sessionId })
-            })
+            Promise.all([getCartCount(), getMemberContext()])
+                .then(([cartCount, member]) => fetchWithTimeout(`${BACKEND_URL}/api/chat/init`, {
+                    method: 'POST',
+                    headers: { "Content-Type": "application/json" },
+                    body: JSON.stringify({
+                        session_id: sessionId,
+                        context_handle: getContextHandle(),
+                        cart_count: cartCount,
+                        ...member
+                    })
+                }))
                 .then(res => res.json())
-                .then(data => { addBotMessage(data.text); })
+                .then(data => { addBotMessage(data.text, null, false, data.choices); })
                 .catch(err => {
                     console.error("Error init:", err);
                     addBotMessage("¡Hola! Soy el asistente experto de Izas. ¿En qué puedo ayudarte?");
@@ -425,41 +573,189 @@ async function sendMessage() {
     try {
         if (!sessionId) { sessionId = generateSessionId(); saveChatState(); }
 
-        const apiUrl = `${BACKEND_URL}/api/ai/search`;
         const cleanHistory = chatHistory.map(({ role, content }) => ({ role, content }));
+        const [cart, member] = await Promise.all([getCart(), getMemberContext()]);
+
+        const payload = {
+            q: text,
+            history: cleanHistory.slice(0, -1),
+            visible_ids: visibleProductIds,
+            session_id: sessionId,
+            context_handle: getContextHandle(),
+            cart: cart,
+            ...member
+        };
+
+        // 1º intentamos en streaming (el texto aparece según se genera); si no, JSON de siempre
+        let data = await streamSearch(payload, loading);
+        if (!data) {
+            if (!loading.isConnected) chatContainer.appendChild(loading);
+            const response = await fetchWithTimeout(`${BACKEND_URL}/api/ai/search`, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify(payload)
+            });
 
-        let currentContextHandle = null;
-        if (window.location.pathname.includes("/products/")) {
-            const parts = window.location.pathname.split("/products/");
-            if (parts.length > 1) currentContextHandle = parts[1].split("/")[0].split("?")[0];
+            data = await response.json();
+            // Si el servidor manda un texto (p. ej. aviso de demasiados mensajes), lo mostramos tal cual
+            if (!response.ok && !data.text) throw new Error(data.error || "Error en el servidor");
         }
-
-        const response = await fetchWithTimeout(apiUrl, {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({
-                q: text,
-                history: cleanHistory.slice(0, -1),
-                visible_ids: visibleProductIds,
-                session_id: sessionId,
-                context_handle: currentContextHandle
-            })
-        });
-
-        const data = await response.json();
         loading.remove();
-        if (!response.ok) throw new Error(data.error || "Error en el servidor");
+        // Con un agente al mando el bot no contesta: la respuesta llegará por pollHandoff()
+        if (data.agent) {
+            if (!handoff) startHandoffPolling({ status: "agent" });
+            return;
+        }
         addBotMessage(data.text, data.products, data.isSizeContext, data.choices);
+        if (data.handoff) startHandoffPolling(data.handoff);
 
     } catch (err) {
         loading.remove();
         const msg = (err && err.name === "AbortError")
             ? "La respuesta está tardando demasiado. ¿Puedes intentarlo de nuevo?"
-            : "Lo siento, he tenido un problema de conexión.";
+            : (err && err.serverError)
+                ? "Lo siento, ha habido un error al preparar la respuesta. ¿Puedes intentarlo de nuevo?"
+                : "Lo siento, he tenido un problema de conexión.";
         addBotMessage(msg);
     }
 }
 
+// 📡 Petición en streaming (Server-Sent Events sobre POST). Pinta el texto según
+//    llega y devuelve la respuesta final, o null si hay que usar el endpoint JSON.
+//    Solo se usa el JSON si el mensaje no llegó a procesarse (no hay conexión con el
+//    endpoint o no responde en SSE): repetirlo gastaría dos veces y lo guardaría dos veces.
+async function streamSearch(payload, loading) {
+    if (!window.ReadableStream || !window.TextDecoder) return null;
+
+    let response;
+    try {
+        response = await fetchWithTimeout(`${BACKEND_URL}/api/ai/search/stream`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json", "Accept": "text/event-stream" },
+            body: JSON.stringify(payload)
+        });
+    } catch (err) {
+        if (err && err.name === "AbortError") throw err; // El servidor puede seguir con el mensaje
+        console.warn("Streaming no disponible, usando respuesta normal:", err);
+        return null;
+    }
+
+    // Respuestas JSON (p. ej. límite de mensajes) se muestran igual que en el endpoint normal
+    const contentType = response.headers.get("Content-Type") || "";
+    if (contentType.includes("application/json")) {
+        const data = await response.json();
+        if (data.text || data.agent) return data;
+        throw new Error(data.error || "Error en el servidor");
+    }
+    if (!contentType.includes("text/event-stream") || !response.body) return null;
+
+    let bubble = null;
+    try {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = "";
+        let text = "";
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+
+            let boundary;
+            while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+                const frame = parseSseFrame(buffer.slice(0, boundary));
+                buffer = buffer.slice(boundary + 2);
+                if (!frame) continue;
+
+                if (frame.event === "delta") {
+                    if (!bubble) {
+                        loading.remove();
+                        bubble = renderBotMessage("");
+                    }
+                    text += frame.data.text || "";
+                    bubble.innerHTML = formatMessage(text);
+                    const chatMessages = document.getElementById("chat-messages");
+                    if (chatMessages) chatMessages.scrollTop = chatMessages.scrollHeight;
+                } else if (frame.event === "done") {
+                    // addBotMessage vuelve a pintar el texto final (ya con enlaces saneados) y las tarjetas
+                    if (bubble) bubble.remove();
+                    return frame.data;
+                } else if (frame.event === "error") {
+                    const error = new Error(frame.data.error || "Error en streaming");
+                    error.serverError = true;
+                    throw error;
+                }
+            }
+        }
+        throw new Error("Streaming interrumpido");
+    } catch (err) {
+        // El servidor ya tenía el mensaje: se enseña el error en vez de repetirlo por JSON
+        if (bubble) bubble.remove();
+        throw err;
+    }
+}
+
+// Convierte un bloque "event: x\ndata: {...}" en { event, data }.
+function parseSseFrame(frame) {
+    let event = "message";
+    let data = "";
+    frame.split("\n").forEach(line => {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) data += line.slice(5).trim();
+    });
+    if (!data) return null;
+    try {
+        return { event, data: JSON.parse(data) };
+    } catch (e) {
+        return null;
+    }
+}
+
+/* ================== ATENCIÓN POR UNA PERSONA (HANDOFF) ================== */
+// Tras pedir hablar con alguien, preguntamos cada pocos segundos si el agente ha escrito.
+function startHandoffPolling(info) {
+    handoff = { lastMessageId: 0, agent: null, ...handoff, ...info };
+    saveChatState();
+    if (!handoffTimer) handoffTimer = setInterval(pollHandoff, HANDOFF_POLL_MS);
+}
+
+function stopHandoffPolling() {
+    if (handoffTimer) clearInterval(handoffTimer);
+    handoffTimer = null;
+    handoff = null;
+    saveChatState();
+}
+
+async function pollHandoff() {
+    if (!handoff || !sessionId || document.hidden) return;
+    try {
+        const url = `${BACKEND_URL}/api/chat/handoff?session_id=${encodeURIComponent(sessionId)}&after=${handoff.lastMessageId || 0}`;
+        const res = await fetchWithTimeout(url, {}, 8000);
+        if (!res.ok) return;
+        const data = await res.json();
+        const agentName = data.agent || "Equipo Izas";
+
+        if (data.status === "agent" && handoff.status !== "agent") {
+            addBotMessage(`👤 ${agentName} se ha unido a la conversación.`);
+        }
+        (data.messages || []).forEach(m => {
+            addBotMessage(`**${agentName}:** ${m.text}`);
+            handoff.lastMessageId = Math.max(handoff.lastMessageId || 0, m.id);
+        });
+
+        if (data.status === "closed" || data.status === "none") {
+            if (handoff.status === "agent") addBotMessage("✅ La conversación con nuestro equipo ha terminado. Si necesitas algo más, aquí sigo yo.");
+            stopHandoffPolling();
+            return;
+        }
+        handoff.status = data.status;
+        handoff.agent = data.agent;
+        saveChatState();
+    } catch (e) {
+        /* sin conexión: lo intentamos en la siguiente vuelta */
+    }
+}
+
 /* ================== RENDERIZADO VISUAL AUXILIAR ================== */
 function renderUserMessage(text) {
     const div = document.createElement("div");
@@ -473,6 +769,7 @@ function renderBotMessage(text) {
     div.className = "message bot";
     div.innerHTML = formatMessage(text); // formatMessage escapa antes de formatear
     document.getElementById("chat-messages")?.appendChild(div);
+    return div;
 }
 
 // 🔐 FORMATO SEGURO: primero escapamos TODO el texto, y solo después aplicamos
@@ -529,15 +826,32 @@ function renderProductCards(products, isSizeContext = false) {
         price.className = "price";
         price.textContent = `${p.price ?? ""} €`;
 
+        const picker = renderVariantPicker(p);
+
         const button = document.createElement("button");
         button.textContent = isSizeContext ? 'Ver Tallas' : 'Ver Detalles';
-        const urlParams = isSizeContext ? (p.displayUrlParams ? '&open_guide=true' : '?open_guide=true') : '';
         const handle = encodeURIComponent(p.handle || "");
-        const extra = (p.displayUrlParams || "") + urlParams;
-        button.onclick = () => window.open(`https://www.izas-outdoor.com/products/${handle}${extra}`, '_blank', 'noopener');
+        button.onclick = () => {
+            // Enlaza la variante que haya elegido en el selector (o la que vino del bot)
+            const variant = picker ? picker.getVariant() : null;
+            const variantParams = variant ? `?variant=${encodeURIComponent(variant.id)}` : (p.displayUrlParams || "");
+            const urlParams = isSizeContext ? (variantParams ? '&open_guide=true' : '?open_guide=true') : '';
+            window.open(`https://www.izas-outdoor.com/products/${handle}${variantParams}${urlParams}`, '_blank', 'noopener');
+        };
 
         info.appendChild(title);
         info.appendChild(price);
+        // El backend no ha podido confirmar el stock con Shopify (dato guardado)
+        if (p.stockStale) {
+            const stockNote = document.createElement("p");
+            stockNote.className = "stock-note";
+            stockNote.textContent = "Stock pendiente de confirmar";
+            info.appendChild(stockNote);
+        }
+        if (picker) {
+            info.appendChild(picker.element);
+            info.appendChild(picker.cartButton);
+        }
         info.appendChild(button);
 
         card.appendChild(imageWrap);
@@ -548,6 +862,75 @@ function renderProductCards(products, isSizeContext = false) {
     document.getElementById("chat-messages")?.appendChild(container);
 }
 
+// 🛒 Selector de talla/color + botón "Añadir al carrito" de una tarjeta.
+//    Devuelve null si el producto no trae variantes (p. ej. historial antiguo).
+function renderVariantPicker(p) {
+    const variants = Array.isArray(p.variants) ? p.variants : [];
+    if (variants.length === 0) return null;
+
+    const optionValue = (variant, name) => ((variant.selectedOptions || []).find(o => o.name === name) || {}).value;
+    // `available` lo calcula el backend; las tarjetas guardadas antes no lo traen
+    const inStock = variant => (variant.available ?? variant.availableForSale) === true;
+    const initial = variants.find(v => String(v.id) === String(p.variant_id))
+        || variants.find(inStock)
+        || variants[0];
+
+    const element = document.createElement("div");
+    element.className = "card-options";
+    const selects = [];
+
+    (p.options || []).forEach(option => {
+        if (!option.values || option.values.length < 2) return; // Sin elección (talla única...)
+        const select = document.createElement("select");
+        select.className = "card-option";
+        select.setAttribute("aria-label", option.name);
+        option.values.forEach(value => {
+            const opt = document.createElement("option");
+            opt.value = value;
+            opt.textContent = value; // textContent => seguro
+            select.appendChild(opt);
+        });
+        select.value = optionValue(initial, option.name) || option.values[0];
+        select.onchange = refresh;
+        selects.push({ name: option.name, select });
+        element.appendChild(select);
+    });
+
+    const cartButton = document.createElement("button");
+    cartButton.className = "add-to-cart-btn";
+
+    function getVariant() {
+        if (selects.length === 0) return initial;
+        return variants.find(v => selects.every(({ name, select }) => optionValue(v, name) === select.value)) || null;
+    }
+
+    function refresh() {
+        const variant = getVariant();
+        const available = variant && inStock(variant);
+        cartButton.disabled = !available;
+        cartButton.textContent = available ? "Añadir al carrito" : (variant ? "Agotado" : "No disponible");
+    }
+
+    cartButton.onclick = async () => {
+        const variant = getVariant();
+        if (!variant) return;
+        cartButton.disabled = true;
+        cartButton.textContent = "Añadiendo...";
+        const result = await addToCart(variant.id);
+        if (result.ok) {
+            cartButton.textContent = "✓ Añadido";
+            const label = selects.map(({ select }) => select.value).join(" / ");
+            logEventToBackend("user", `[🛒 Añadido al carrito: ${p.title}${label ? ` (${label})` : ""}]`);
+        } else {
+            cartButton.textContent = result.message;
+        }
+        setTimeout(refresh, 2500);
+    };
+
+    refresh();
+    return { element, cartButton, getVariant };
+}
+
 function renderChoiceButtons(choices) {
     const chatMessages = document.getElementById("chat-messages");
     if (!chatMessages || !choices || choices.length === 0) return;
@@ -632,6 +1015,7 @@ window.handleFeedback = handleFeedback;
 document.addEventListener("DOMContentLoaded", function () {
     loadChatState();
     if (!sessionId) { sessionId = generateSessionId(); saveChatState(); }
+    if (handoff) startHandoffPolling(handoff); // Derivación abierta en otra página de la tienda
 
     trackProductView();
 
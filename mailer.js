@@ -0,0 +1,87 @@
+/* ==========================================================================
+   ✉️ ENVÍO DE EMAILS (INTERCAMBIABLE)
+   ==========================================================================
+   MAILER_TRANSPORT elige cómo salen los emails (códigos de verificación,
+   avisos...). Todos exponen la misma función send({ to, subject, text, html }):
+   - console: no envía nada, lo escribe en los logs (desarrollo).
+   - webhook: POST JSON a MAILER_WEBHOOK_URL (Make, Zapier, un Worker...).
+   - smtp:    nodemailer con SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+              (dependencia opcional: `npm install nodemailer`).
+   ========================================================================== */
+import fetch from "node-fetch";
+
+function createConsoleTransport() {
+    return async ({ to, subject, text }) => {
+        console.log(`✉️ [MAILER console] Para: ${to} | Asunto: ${subject}\n${text}`);
+    };
+}
+
+function createWebhookTransport({ webhookUrl, webhookSecret }) {
+    if (!webhookUrl) throw new Error("MAILER_WEBHOOK_URL no está configurada");
+    return async message => {
+        const res = await fetch(webhookUrl, {
+            method: "POST",
+            headers: {
+                "Content-Type": "application/json",
+                ...(webhookSecret ? { Authorization: `Bearer ${webhookSecret}` } : {})
+            },
+            body: JSON.stringify(message),
+            signal: AbortSignal.timeout(10000) // node-fetch v3 ya no tiene la opción timeout
+        });
+        if (!res.ok) throw new Error(`Webhook de email respondió ${res.status}`);
+    };
+}
+
+// nodemailer se carga en el primer envío: si no está instalado, solo falla el SMTP
+function createSmtpTransport({ host, port, user, pass }) {
+    if (!host) throw new Error("SMTP_HOST no está configurado");
+    let transporter = null;
+
+    return async message => {
+        if (!transporter) {
+            let nodemailer;
+            try {
+                nodemailer = (await import("nodemailer")).default;
+            } catch {
+                throw new Error("MAILER_TRANSPORT=smtp necesita el paquete nodemailer (npm install nodemailer)");
+            }
+            transporter = nodemailer.createTransport({
+                host,
+                port: Number(port) || 587,
+                secure: Number(port) === 465,
+                auth: user ? { user, pass } : undefined
+            });
+        }
+        await transporter.sendMail(message);
+    };
+}
+
+// Devuelve { kind, send(message) }. Si el transporte no se puede crear, usa consola y lo avisa.
+export function createMailer({
+    transport = "console",
+    from = "Izas Outdoor <info@izas-outdoor.com>",
+    webhookUrl,
+    webhookSecret,
+    smtp = {}
+} = {}) {
+    let kind = transport;
+    let sendFn;
+    try {
+        if (transport === "webhook") sendFn = createWebhookTransport({ webhookUrl, webhookSecret });
+        else if (transport === "smtp") sendFn = createSmtpTransport(smtp);
+        else {
+            kind = "console";
+            sendFn = createConsoleTransport();
+        }
+    } catch (error) {
+        console.error(`❌ Mailer "${transport}" no disponible, usando consola:`, error.message);
+        kind = "console";
+        sendFn = createConsoleTransport();
+    }
+
+    async function send(message) {
+        await sendFn({ from, ...message });
+    }
+
+    return { kind, send };
+}
@@ -0,0 +1,68 @@
+/* ==========================================================================
+   🎖️ VERIFICACIÓN DEL SOCIO IZAS MEMBERS
+   ==========================================================================
+   El navegador no es de fiar: cualquiera puede mandar { nivel: "ORO" } o el
+   email de otra persona. Por eso el perfil solo cuenta si viene en un token
+   firmado por la app de Members (App Proxy /apps/izas-members/perfil) con
+   el secreto compartido MEMBERS_TOKEN_SECRET.
+
+   Formato: JWT HS256 (cabecera.payload.firma en base64url). Claims:
+     sub (id de cliente Shopify), email, nivel, puntos, saldoDisponible,
+     iat, exp (obligatorio; recomendado <= 1h).
+   Sin token válido, el cliente se trata como anónimo.
+   ========================================================================== */
+import crypto from "crypto";
+
+const CLOCK_SKEW_SEC = 60;
+
+function base64UrlDecode(part) {
+    return Buffer.from(part.replace(/-/g, "+").replace(/_/g, "/"), "base64");
+}
+
+function sign(data, secret) {
+    return crypto.createHmac("sha256", secret).update(data).digest();
+}
+
+// { ok: true, claims } | { ok: false, reason }
+export function verifyMemberToken(token, { secret, issuer = null, now = Date.now() } = {}) {
+    if (!token) return { ok: false, reason: "missing" };
+    if (!secret) return { ok: false, reason: "no_secret" };
+
+    const parts = String(token).split(".");
+    if (parts.length !== 3) return { ok: false, reason: "malformed" };
+    const [headerPart, payloadPart, signaturePart] = parts;
+
+    let header;
+    let claims;
+    try {
+        header = JSON.parse(base64UrlDecode(headerPart).toString("utf8"));
+        claims = JSON.parse(base64UrlDecode(payloadPart).toString("utf8"));
+    } catch {
+        return { ok: false, reason: "malformed" };
+    }
+    if (header.alg !== "HS256") return { ok: false, reason: "bad_alg" };
+
+    const expected = sign(`${headerPart}.${payloadPart}`, secret);
+    const received = base64UrlDecode(signaturePart);
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+        return { ok: false, reason: "bad_signature" };
+    }
+
+    const nowSec = Math.floor(now / 1000);
+    if (typeof claims.exp !== "number" || claims.exp + CLOCK_SKEW_SEC < nowSec) return { ok: false, reason: "expired" };
+    if (typeof claims.nbf === "number" && claims.nbf - CLOCK_SKEW_SEC > nowSec) return { ok: false, reason: "not_yet_valid" };
+    if (issuer && claims.iss !== issuer) return { ok: false, reason: "bad_issuer" };
+
+    return { ok: true, claims };
+}
+
+// Convierte los claims en lo que usa el chat: { member_context, customer_email }
+export function memberFromClaims(claims) {
+    const hasProfile = claims.nivel || claims.puntos != null;
+    return {
+        member_context: hasProfile
+            ? { nivel: claims.nivel || null, puntos: claims.puntos ?? null, saldoDisponible: claims.saldoDisponible ?? null }
+            : null,
+        customer_email: claims.email ? String(claims.email).toLowerCase() : null
+    };
+}
@@ -0,0 +1,133 @@
+/* ==========================================================================
+   🔐 VERIFICACIÓN DE ACCESO A PEDIDOS
+   ==========================================================================
+   - Cuenta los intentos fallidos (número de pedido + email que no cuadran)
+     por sesión y por IP. Tras `maxFailures` en la ventana, bloquea esa
+     sesión/IP durante `lockoutMs`: así no se pueden probar pedidos a ciegas.
+   - Código de un solo uso (OTP) opcional: aunque pedido y email cuadren,
+     los detalles no se enseñan hasta que el cliente escribe el código que
+     le hemos mandado al email DEL PEDIDO.
+   Todo vive en memoria, igual que el limitador de peticiones.
+   ========================================================================== */
+import crypto from "crypto";
+
+const CLEANUP_INTERVAL_MS = 10 * 60 * 1000;
+
+const OTP_EMAIL = {
+    es: { subject: "Tu código para consultar el pedido {order}", text: "Hola,\n\nTu código para ver el pedido {order} en el chat de Izas Outdoor es: {code}\n\nCaduca en {minutes} minutos. Si no lo has pedido tú, ignora este email." },
+    en: { subject: "Your code to check order {order}", text: "Hi,\n\nYour code to view order {order} in the Izas Outdoor chat is: {code}\n\nIt expires in {minutes} minutes. If you didn't request it, please ignore this email." },
+    fr: { subject: "Votre code pour consulter la commande {order}", text: "Bonjour,\n\nVotre code pour voir la commande {order} dans le chat Izas Outdoor est : {code}\n\nIl expire dans {minutes} minutes. Si vous ne l'avez pas demandé, ignorez cet e-mail." },
+    pt: { subject: "O seu código para consultar a encomenda {order}", text: "Olá,\n\nO seu código para ver a encomenda {order} no chat da Izas Outdoor é: {code}\n\nExpira em {minutes} minutos. Se não o pediu, ignore este email." }
+};
+
+function hashCode(code) {
+    return crypto.createHash("sha256").update(String(code)).digest();
+}
+
+function fill(template, values) {
+    return template.replace(/\{(\w+)\}/g, (_, key) => values[key] ?? "");
+}
+
+export function createOrderVerifier({
+    maxFailures = 5,
+    lockoutMs = 30 * 60 * 1000,
+    otpEnabled = false,
+    otpTtlMs = 10 * 60 * 1000,
+    otpMaxAttempts = 5,
+    mailer = null
+} = {}) {
+    const failures = new Map();   // clave (s:/ip:) -> { count, windowStart, lockedUntil }
+    const challenges = new Map(); // sessionId -> { orderId, email, codeHash, expiresAt, attempts }
+
+    // ¿Alguna de las claves está bloqueada? Devuelve el mayor tiempo de espera.
+    function lockStatus(keys) {
+        const now = Date.now();
+        let retryAfterMs = 0;
+        for (const key of keys.filter(Boolean)) {
+            const entry = failures.get(key);
+            if (entry && entry.lockedUntil > now) retryAfterMs = Math.max(retryAfterMs, entry.lockedUntil - now);
+        }
+        return { locked: retryAfterMs > 0, retryAfterMs };
+    }
+
+    function recordFailure(keys) {
+        const now = Date.now();
+        for (const key of keys.filter(Boolean)) {
+            let entry = failures.get(key);
+            if (!entry || now - entry.windowStart > lockoutMs) entry = { count: 0, windowStart: now, lockedUntil: 0 };
+            entry.count++;
+            if (entry.count >= maxFailures) {
+                entry.lockedUntil = now + lockoutMs;
+                entry.count = 0;
+                entry.windowStart = now;
+                console.warn(`🔐 Verificación de pedidos bloqueada para ${key} (${maxFailures} intentos fallidos)`);
+            }
+            failures.set(key, entry);
+        }
+        return lockStatus(keys);
+    }
+
+    // Genera un código, lo manda al email del pedido y lo guarda (solo el hash)
+    async function startChallenge(sessionId, { orderId, email, lang = "es" }) {
+        const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+        challenges.set(sessionId, {
+            orderId,
+            email,
+            codeHash: hashCode(code),
+            expiresAt: Date.now() + otpTtlMs,
+            attempts: 0
+        });
+
+        const texts = OTP_EMAIL[lang] || OTP_EMAIL.es;
+        const values = { order: `#${orderId}`, code, minutes: Math.round(otpTtlMs / 60000) };
+        await mailer.send({ to: email, subject: fill(texts.subject, values), text: fill(texts.text, values) });
+    }
+
+    function pendingChallenge(sessionId) {
+        const challenge = challenges.get(sessionId);
+        if (!challenge) return null;
+        return { orderId: challenge.orderId, expired: challenge.expiresAt < Date.now() };
+    }
+
+    // { ok: true, orderId, email } | { ok: false, reason: "no_challenge" | "expired" | "invalid" | "too_many" }
+    function confirmCode(sessionId, code) {
+        const challenge = challenges.get(sessionId);
+        if (!challenge) return { ok: false, reason: "no_challenge" };
+        if (challenge.expiresAt < Date.now()) {
+            challenges.delete(sessionId);
+            return { ok: false, reason: "expired" };
+        }
+
+        if (!crypto.timingSafeEqual(challenge.codeHash, hashCode(code))) {
+            challenge.attempts++;
+            if (challenge.attempts >= otpMaxAttempts) {
+                challenges.delete(sessionId);
+                return { ok: false, reason: "too_many" };
+            }
+            return { ok: false, reason: "invalid" };
+        }
+
+        challenges.delete(sessionId);
+        return { ok: true, orderId: challenge.orderId, email: challenge.email };
+    }
+
+    const cleanup = setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of failures) {
+            if (entry.lockedUntil < now && now - entry.windowStart > lockoutMs) failures.delete(key);
+        }
+        for (const [key, challenge] of challenges) {
+            if (challenge.expiresAt < now) challenges.delete(key);
+        }
+    }, CLEANUP_INTERVAL_MS);
+    cleanup.unref();
+
+    return {
+        otpEnabled: otpEnabled && Boolean(mailer),
+        lockStatus,
+        recordFailure,
+        startChallenge,
+        pendingChallenge,
+        confirmCode
+    };
+}
@@ -0,0 +1,281 @@
+/* ==========================================================================
+   📦 PEDIDOS (SHOPIFY ADMIN API)
+   ==========================================================================
+   - getOrder(numero, email): un pedido concreto, solo si el email coincide.
+   - listRecentOrders(email): últimos pedidos de un cliente (solo para
+     clientes con sesión iniciada: su email ya viene verificado por Shopify).
+   - formatOrderForAI / formatOrderListForAI: texto para el prompt.
+
+   Un pedido puede ir en varios envíos (cada uno con su tracking), tener
+   artículos aún sin enviar, devoluciones, reembolsos o estar cancelado:
+   todo eso se resume por artículo para que el bot lo explique bien.
+   Transportistas y estados legibles: ver carriers.js.
+   ========================================================================== */
+import { describeTracking, explainStatus } from "./carriers.js";
+
+const ORDER_FIELDS = `
+    id name email createdAt processedAt
+    displayFinancialStatus displayFulfillmentStatus
+    cancelledAt cancelReason
+    totalPriceSet { shopMoney { amount currencyCode } }
+    totalRefundedSet { shopMoney { amount currencyCode } }
+    lineItems(first: 50) {
+      nodes { id title variantTitle quantity currentQuantity unfulfilledQuantity }
+    }
+    fulfillments(first: 20) {
+      status displayStatus createdAt inTransitAt deliveredAt estimatedDeliveryAt
+      trackingInfo(first: 10) { number url company }
+      fulfillmentLineItems(first: 50) { nodes { quantity lineItem { id } } }
+    }
+    refunds(first: 20) {
+      createdAt
+      totalRefundedSet { shopMoney { amount currencyCode } }
+      refundLineItems(first: 50) { nodes { quantity lineItem { id title } } }
+    }
+`;
+
+// Las devoluciones van en otra consulta: sin el permiso read_returns, Shopify
+// rechaza el campo y con él la consulta entera (el pedido no se encontraría).
+const RETURN_FIELDS = `
+    returns(first: 10) {
+      nodes {
+        name status
+        returnLineItems(first: 50) { nodes { quantity fulfillmentLineItem { lineItem { id title } } } }
+      }
+    }
+`;
+
+// Envíos anulados no cuentan como "enviado"
+const DEAD_FULFILLMENT = new Set(["CANCELLED", "ERROR", "FAILURE"]);
+
+// Quita lo que podría romper la sintaxis de búsqueda de Shopify
+function searchValue(value) {
+    return String(value || "").replace(/["\\]/g, "").trim();
+}
+
+function money(set) {
+    const m = set?.shopMoney;
+    return m ? `${Number(m.amount).toFixed(2)} ${m.currencyCode}` : "N/A";
+}
+
+function day(iso) {
+    return iso ? iso.slice(0, 10) : null;
+}
+
+// Convierte el nodo de GraphQL en algo fácil de explicar (envíos y estado por artículo)
+function mapOrder(order) {
+    const shipped = new Map();  // lineItemId -> unidades enviadas
+    const refunded = new Map(); // lineItemId -> unidades reembolsadas
+    const returned = new Map(); // lineItemId -> unidades en devolución
+
+    const shipments = (order.fulfillments || [])
+        .filter(f => !DEAD_FULFILLMENT.has(f.status))
+        .map(f => {
+            const items = (f.fulfillmentLineItems?.nodes || []).map(n => {
+                shipped.set(n.lineItem.id, (shipped.get(n.lineItem.id) || 0) + n.quantity);
+                return { lineItemId: n.lineItem.id, quantity: n.quantity };
+            });
+            return {
+                status: f.displayStatus || f.status,
+                shippedAt: day(f.createdAt),
+                deliveredAt: day(f.deliveredAt),
+                estimatedDeliveryAt: day(f.estimatedDeliveryAt),
+                tracking: (f.trackingInfo || []).map(describeTracking),
+                items
+            };
+        });
+
+    const refunds = (order.refunds || []).map(r => {
+        const items = (r.refundLineItems?.nodes || []).map(n => {
+            refunded.set(n.lineItem.id, (refunded.get(n.lineItem.id) || 0) + n.quantity);
+            return `${n.quantity}x ${n.lineItem.title}`;
+        });
+        return { date: day(r.createdAt), amount: money(r.totalRefundedSet), items };
+    });
+
+    const returns = (order.returns?.nodes || []).map(r => {
+        const items = (r.returnLineItems?.nodes || []).map(n => {
+            const lineItem = n.fulfillmentLineItem?.lineItem;
+            if (lineItem && r.status !== "CANCELED" && r.status !== "DECLINED") {
+                returned.set(lineItem.id, (returned.get(lineItem.id) || 0) + n.quantity);
+            }
+            return `${n.quantity}x ${lineItem?.title || "Artículo"}`;
+        });
+        return { name: r.name, status: r.status, items };
+    });
+
+    const titles = new Map();
+    const lineItems = (order.lineItems?.nodes || []).map(li => {
+        const title = li.variantTitle ? `${li.title} (${li.variantTitle})` : li.title;
+        titles.set(li.id, title);
+        return {
+            title,
+            quantity: li.quantity,
+            shipped: shipped.get(li.id) || 0,
+            pending: li.unfulfilledQuantity ?? 0,
+            refunded: refunded.get(li.id) || 0,
+            returned: returned.get(li.id) || 0,
+            removed: li.quantity - (li.currentQuantity ?? li.quantity)
+        };
+    });
+
+    shipments.forEach(s => {
+        s.items = s.items.map(i => `${i.quantity}x ${titles.get(i.lineItemId) || "Artículo"}`);
+    });
+
+    const firstTracking = shipments.flatMap(s => s.tracking)[0] || null;
+
+    return {
+        id: order.name,
+        createdAt: day(order.processedAt || order.createdAt),
+        status: order.displayFulfillmentStatus,
+        financialStatus: order.displayFinancialStatus,
+        cancelled: order.cancelledAt ? { at: day(order.cancelledAt), reason: order.cancelReason } : null,
+        price: order.totalPriceSet?.shopMoney?.amount || "",
+        total: money(order.totalPriceSet),
+        totalRefunded: Number(order.totalRefundedSet?.shopMoney?.amount || 0) > 0 ? money(order.totalRefundedSet) : null,
+        lineItems,
+        shipments,
+        refunds,
+        returns,
+        returnsUnknown: !order.returns, // No se pudieron consultar (permiso o error de Shopify)
+        // Resumen del primer envío (compatibilidad con el formato anterior)
+        carrier: firstTracking ? firstTracking.carrier : "Pendiente de envío",
+        trackingNumber: firstTracking ? firstTracking.number : "En preparación",
+        trackingUrl: firstTracking ? firstTracking.url : null,
+        items: lineItems.map(li => `${li.quantity}x ${li.title}`).join(", ") || "Varios artículos"
+    };
+}
+
+export function createOrderLookup({ fetchGraphQL }) {
+    // Añade `returns` a los pedidos (nodos de GraphQL). Si falla, se quedan sin él y el pedido sigue valiendo.
+    async function attachReturns(orders) {
+        if (orders.length === 0) return;
+        const query = `
+        query orderReturns($ids: [ID!]!) {
+          nodes(ids: $ids) { ... on Order { id ${RETURN_FIELDS} } }
+        }`;
+        try {
+            const data = await fetchGraphQL(query, { ids: orders.map(o => o.id) });
+            const byId = new Map((data?.nodes || []).filter(Boolean).map(n => [n.id, n.returns]));
+            orders.forEach(o => { o.returns = byId.get(o.id) || null; });
+        } catch (error) {
+            console.error("⚠️ No se pudieron consultar las devoluciones:", error.message || error);
+        }
+    }
+
+    // 🚚 Un pedido por número, verificando que el email coincide
+    async function getOrder(orderId, userEmail) {
+        const cleanId = searchValue(orderId).replace("#", "");
+        console.log(`🔍 Consultando Shopify para ID: ${cleanId}, Email user: ${userEmail}`);
+
+        const query = `
+        query getOrder($query: String!) {
+          orders(first: 1, query: $query) { nodes { ${ORDER_FIELDS} } }
+        }`;
+
+        try {
+            const data = await fetchGraphQL(query, { query: `name:${cleanId}` });
+            const order = data?.orders?.nodes?.[0];
+            if (!order) return { found: false, reason: "not_found" };
+
+            // 🔒 VERIFICACIÓN DE SEGURIDAD
+            if (!order.email || order.email.toLowerCase().trim() !== String(userEmail).toLowerCase().trim()) {
+                return { found: false, reason: "email_mismatch" };
+            }
+
+            await attachReturns([order]);
+            return { found: true, data: mapOrder(order) };
+        } catch (error) {
+            console.error("❌ Error buscando pedido:", error);
+            return { found: false, reason: "error" };
+        }
+    }
+
+    // 🧾 Últimos pedidos de un cliente (más recientes primero)
+    async function listRecentOrders(email, limit = 5) {
+        const query = `
+        query recentOrders($query: String!, $limit: Int!) {
+          orders(first: $limit, query: $query, sortKey: PROCESSED_AT, reverse: true) { nodes { ${ORDER_FIELDS} } }
+        }`;
+
+        try {
+            const data = await fetchGraphQL(query, { query: `email:"${searchValue(email)}"`, limit });
+            const nodes = (data?.orders?.nodes || [])
+                .filter(o => o.email && o.email.toLowerCase() === String(email).toLowerCase());
+            await attachReturns(nodes);
+            const orders = nodes.map(mapOrder);
+            return { found: orders.length > 0, orders };
+        } catch (error) {
+            console.error("❌ Error listando pedidos:", error);
+            return { found: false, orders: [], reason: "error" };
+        }
+    }
+
+    return { getOrder, listRecentOrders };
+}
+
+/* --------------------------------------------------------------------------
+   TEXTO PARA EL PROMPT
+   -------------------------------------------------------------------------- */
+
+function describeLineItem(li) {
+    const parts = [];
+    if (li.shipped) parts.push(`${li.shipped} enviado${li.shipped > 1 ? "s" : ""}`);
+    if (li.pending) parts.push(`${li.pending} pendiente${li.pending > 1 ? "s" : ""} de envío`);
+    if (li.returned) parts.push(`${li.returned} en devolución`);
+    if (li.refunded) parts.push(`${li.refunded} reembolsado${li.refunded > 1 ? "s" : ""}`);
+    else if (li.removed) parts.push(`${li.removed} retirado${li.removed > 1 ? "s" : ""} del pedido`);
+    return `- ${li.quantity}x ${li.title}: ${parts.join(", ") || "sin envío necesario"}`;
+}
+
+// lang: idioma del cliente para las explicaciones de estado (es, en, fr, pt)
+export function formatOrderForAI(order, { lang = "es" } = {}) {
+    const lines = [
+        "[DATOS_ENCONTRADOS]",
+        `ID: ${order.id} (realizado el ${order.createdAt})`,
+        `ESTADO_RAW: ${order.status}`,
+        `ESTADO: ${explainStatus(order.status, { lang })}`,
+        `ESTADO_PAGO: ${order.financialStatus}`,
+        `TOTAL: ${order.total}`
+    ];
+    if (order.cancelled) lines.push(`CANCELADO: sí, el ${order.cancelled.at} (motivo: ${order.cancelled.reason || "N/A"})`);
+
+    if (order.shipments.length) {
+        lines.push(`ENVÍOS (${order.shipments.length}):`);
+        order.shipments.forEach((s, i) => {
+            const tracking = s.tracking.length
+                ? s.tracking.map(t => `${t.carrier} · tracking ${t.number} · ${t.url || "sin enlace"}`).join(" | ")
+                : "sin datos de seguimiento";
+            const dates = [
+                s.shippedAt && `enviado ${s.shippedAt}`,
+                s.deliveredAt && `entregado ${s.deliveredAt}`,
+                !s.deliveredAt && s.estimatedDeliveryAt && `entrega estimada ${s.estimatedDeliveryAt}`
+            ].filter(Boolean).join(", ");
+            const explanation = explainStatus(s.status, { carrierKey: s.tracking[0]?.carrierKey, lang });
+            lines.push(`  ${i + 1}. ${tracking} · estado: ${s.status} = ${explanation}${dates ? ` (${dates})` : ""} · contiene: ${s.items.join(", ") || "N/A"}`);
+        });
+    } else {
+        lines.push("ENVÍOS: ninguno todavía (en preparación)");
+    }
+
+    lines.push("ARTÍCULOS:", ...order.lineItems.map(describeLineItem));
+    if (order.returns.length) {
+        lines.push(`DEVOLUCIONES: ${order.returns.map(r => `${r.name} (${r.status}): ${r.items.join(", ")}`).join(" | ")}`);
+    } else if (order.returnsUnknown) {
+        lines.push("DEVOLUCIONES: no se han podido consultar. Si pregunta por una devolución, que escriba a info@izas-outdoor.com.");
+    }
+    if (order.refunds.length) {
+        lines.push(`REEMBOLSOS: ${order.refunds.map(r => `${r.amount} el ${r.date}${r.items.length ? ` (${r.items.join(", ")})` : ""}`).join(" | ")}`);
+        if (order.totalRefunded) lines.push(`TOTAL REEMBOLSADO: ${order.totalRefunded}`);
+    }
+    return lines.join("\n");
+}
+
+export function formatOrderListForAI(orders, { lang = "es" } = {}) {
+    if (!orders.length) return "[PEDIDOS_CLIENTE] El cliente no tiene pedidos con su email.";
+    return [
+        `[PEDIDOS_CLIENTE] Últimos ${orders.length} pedidos (del más reciente al más antiguo):`,
+        ...orders.map(o => `- ${o.id} · ${o.createdAt} · ${o.total} · envío: ${o.cancelled ? "CANCELADO" : `${o.status} (${explainStatus(o.status, { lang })})`}${o.totalRefunded ? ` · reembolsado ${o.totalRefunded}` : ""} · ${o.items}`)
+    ].join("\n");
+}
@@ -0,0 +1,89 @@
+/* ==========================================================================
+   🚦 LIMITADOR DE PETICIONES Y PRESUPUESTO DIARIO DE OPENAI
+   ==========================================================================
+   - Token bucket por clave (sesión o IP): permite una ráfaga de `burst`
+     mensajes seguidos y luego recarga `perMinute` mensajes por minuto.
+   - Presupuesto global diario (tokens y coste estimado en USD) que se
+     reinicia a medianoche UTC.
+   Todo vive en memoria: con una sola instancia en Render es suficiente.
+   ========================================================================== */
+
+// Precio aproximado por millón de tokens (USD). Solo para estimar el gasto.
+const MODEL_PRICING = {
+    "gpt-4o": { input: 2.5, output: 10 },
+    "gpt-4o-mini": { input: 0.15, output: 0.6 },
+    "text-embedding-3-large": { input: 0.13, output: 0 }
+};
+
+const BUCKET_IDLE_MS = 60 * 60 * 1000; // Buckets sin uso durante 1h se eliminan
+
+// Crea un limitador token bucket. check(key) devuelve { allowed, retryAfterMs }.
+export function createRateLimiter({ burst, perMinute }) {
+    const buckets = new Map();
+    const refillPerMs = perMinute / 60000;
+
+    function check(key) {
+        const now = Date.now();
+        const bucket = buckets.get(key) || { tokens: burst, updatedAt: now };
+
+        bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+        bucket.updatedAt = now;
+        buckets.set(key, bucket);
+
+        if (bucket.tokens >= 1) {
+            bucket.tokens -= 1;
+            return { allowed: true, retryAfterMs: 0 };
+        }
+        return { allowed: false, retryAfterMs: Math.ceil((1 - bucket.tokens) / refillPerMs) };
+    }
+
+    // Limpieza periódica para que el Map no crezca sin fin con sesiones viejas
+    const cleanup = setInterval(() => {
+        const limit = Date.now() - BUCKET_IDLE_MS;
+        for (const [key, bucket] of buckets) {
+            if (bucket.updatedAt < limit) buckets.delete(key);
+        }
+    }, BUCKET_IDLE_MS);
+    cleanup.unref();
+
+    return { check, size: () => buckets.size };
+}
+
+// Contador global del gasto del día. record() se llama con el "usage" de cada respuesta de OpenAI.
+export function createDailyBudget({ maxTokens, maxCostUsd }) {
+    const state = { day: null, tokens: 0, costUsd: 0, requests: 0 };
+
+    function rollDay() {
+        const today = new Date().toISOString().slice(0, 10);
+        if (state.day !== today) {
+            state.day = today;
+            state.tokens = 0;
+            state.costUsd = 0;
+            state.requests = 0;
+        }
+    }
+
+    function record(model, usage) {
+        if (!usage) return;
+        rollDay();
+        const input = usage.prompt_tokens || 0;
+        const output = usage.completion_tokens || 0;
+        const price = MODEL_PRICING[model] || MODEL_PRICING["gpt-4o"];
+
+        state.tokens += usage.total_tokens || input + output;
+        state.costUsd += (input * price.input + output * price.output) / 1e6;
+        state.requests++;
+    }
+
+    function exceeded() {
+        rollDay();
+        return (maxTokens > 0 && state.tokens >= maxTokens) || (maxCostUsd > 0 && state.costUsd >= maxCostUsd);
+    }
+
+    function snapshot() {
+        rollDay();
+        return { ...state, costUsd: Number(state.costUsd.toFixed(4)), maxTokens, maxCostUsd };
+    }
+
+    return { record, exceeded, snapshot };
+}
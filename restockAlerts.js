@@ -0,0 +1,312 @@
+/* ==========================================================================
+   🔔 AVISOS DE REPOSICIÓN (BACK IN STOCK)
+   ==========================================================================
+   Si la talla o el color que busca el cliente está agotado, el bot le ofrece
+   un aviso por email cuando vuelva:
+
+   1. subscribe(): guarda email + variante en restock_subscriptions (Supabase)
+      con un token aleatorio para confirmar y darse de baja.
+      - Email verificado (sesión de Shopify o código OTP): queda pending.
+      - Email escrito en el chat: queda unconfirmed y se le manda un email de
+        confirmación (doble opt-in). Sin pulsar el enlace en 48 h no cuenta:
+        desde el chat no se puede apuntar el email de otra persona.
+   2. notifyRestocked(): la sincronización del catálogo le pasa los productos
+      recién descargados; las variantes que vuelven a tener stock disparan el
+      email (por el mailer intercambiable, mailer.js) con enlace al producto y
+      enlace de baja.
+   3. Topes por variante: como mucho `maxPerVariant` personas esperando la
+      misma variante y, en cada pasada, tantos emails como unidades repuestas
+      (los más antiguos primero). El resto sigue pendiente y se avisa en la
+      siguiente si aún queda stock: así 3 unidades repuestas no despiertan a
+      400 personas a la vez.
+   4. Con el mailer de consola (desarrollo o transporte mal configurado) no se
+      apunta a nadie ni se marca nada como avisado: los emails no saldrían.
+
+   Estados de una suscripción: unconfirmed -> pending -> notified | unsubscribed.
+   ========================================================================== */
+import crypto from "crypto";
+import { variantInStock } from "./filters.js";
+
+const MAX_PENDING_PER_EMAIL = 10; // Evita que un email se apunte a medio catálogo
+const MAX_UNCONFIRMED_PER_SESSION = 2; // Emails sin verificar distintos desde un mismo chat
+const CONFIRM_TTL_MS = 48 * 60 * 60 * 1000;
+const PENDING_PAGE = 5000;
+
+const EMAIL_TEXTS = {
+    es: {
+        subject: (title, variant) => `¡Ya vuelve a estar disponible! ${title}${variant ? ` (${variant})` : ""}`,
+        body: (title, variant, url) => `Hola,\n\nLo que nos pediste que vigiláramos vuelve a tener stock: ${title}${variant ? ` en ${variant}` : ""}.\n\nCómpralo aquí antes de que vuele: ${url}`,
+        unsubscribe: url => `No quieres más avisos de este producto: ${url}`,
+        confirmSubject: title => `Confirma tu aviso de reposición: ${title}`,
+        confirmBody: (title, variant, url) => `Hola,\n\nPara avisarte cuando vuelva ${title}${variant ? ` en ${variant}` : ""}, confirma tu email aquí: ${url}\n\nSi no lo has pedido tú, ignora este mensaje: no te escribiremos más.`
+    },
+    en: {
+        subject: (title, variant) => `Back in stock! ${title}${variant ? ` (${variant})` : ""}`,
+        body: (title, variant, url) => `Hi,\n\nThe item you asked us to watch is back in stock: ${title}${variant ? ` in ${variant}` : ""}.\n\nGet it here before it's gone: ${url}`,
+        unsubscribe: url => `Don't want more alerts for this product: ${url}`,
+        confirmSubject: title => `Confirm your back-in-stock alert: ${title}`,
+        confirmBody: (title, variant, url) => `Hi,\n\nTo let you know when ${title}${variant ? ` in ${variant}` : ""} is back, confirm your email here: ${url}\n\nIf you didn't ask for this, just ignore this message: we won't write again.`
+    },
+    fr: {
+        subject: (title, variant) => `De retour en stock ! ${title}${variant ? ` (${variant})` : ""}`,
+        body: (title, variant, url) => `Bonjour,\n\nL'article que vous nous avez demandé de surveiller est de nouveau en stock : ${title}${variant ? ` en ${variant}` : ""}.\n\nCommandez-le ici avant qu'il ne parte : ${url}`,
+        unsubscribe: url => `Ne plus recevoir d'alertes pour ce produit : ${url}`,
+        confirmSubject: title => `Confirmez votre alerte de retour en stock : ${title}`,
+        confirmBody: (title, variant, url) => `Bonjour,\n\nPour être prévenu(e) du retour de ${title}${variant ? ` en ${variant}` : ""}, confirmez votre email ici : ${url}\n\nSi vous n'êtes pas à l'origine de cette demande, ignorez ce message : nous ne vous écrirons plus.`
+    },
+    pt: {
+        subject: (title, variant) => `Voltou a estar disponível! ${title}${variant ? ` (${variant})` : ""}`,
+        body: (title, variant, url) => `Olá,\n\nO artigo que nos pediu para acompanhar voltou a ter stock: ${title}${variant ? ` em ${variant}` : ""}.\n\nCompre-o aqui antes que esgote: ${url}`,
+        unsubscribe: url => `Não quer mais avisos deste produto: ${url}`,
+        confirmSubject: title => `Confirme o seu aviso de reposição: ${title}`,
+        confirmBody: (title, variant, url) => `Olá,\n\nPara o avisarmos quando ${title}${variant ? ` em ${variant}` : ""} voltar, confirme o seu email aqui: ${url}\n\nSe não foi você que pediu, ignore esta mensagem: não voltaremos a escrever.`
+    }
+};
+
+// Unidades repuestas, si Shopify lleva la cuenta (si no, null: sin tope por unidades)
+function restockedUnits(variant) {
+    return variant.inventoryQuantity > 0 ? variant.inventoryQuantity : null;
+}
+
+// Las unconfirmed caducan: pasado el plazo ni cuentan ni se pueden confirmar
+function isActive(row, now = Date.now()) {
+    return row.status === "pending" || now - new Date(row.created_at).getTime() < CONFIRM_TTL_MS;
+}
+
+/**
+ * { enabled, subscribe, confirm, unsubscribe, notifyRestocked, pendingByVariant }
+ * publicUrl: URL pública del backend (para los enlaces de confirmación y baja).
+ * storeUrl: URL de la tienda (para el enlace al producto).
+ */
+export function createRestockAlerts(supabase, {
+    mailer,
+    table = "restock_subscriptions",
+    publicUrl,
+    storeUrl = "https://www.izas-outdoor.com",
+    maxPerVariant = 50,
+    onError = () => { }
+} = {}) {
+    const enabled = mailer.kind !== "console";
+    if (!enabled) console.warn("⚠️ Avisos de reposición desactivados: el mailer es de consola (configura MAILER_TRANSPORT).");
+
+    function backendLink(path, token) {
+        return `${String(publicUrl || "").replace(/\/$/, "")}${path}?token=${token}`;
+    }
+
+    // Suscripciones vivas (pending o unconfirmed sin caducar) que cumplen el filtro
+    async function activeRows(column, value) {
+        const { data, error } = await supabase
+            .from(table)
+            .select("id, email, variant_id, session_id, status, created_at")
+            .eq(column, value)
+            .in("status", ["pending", "unconfirmed"])
+            .limit(PENDING_PAGE);
+        if (error) {
+            console.error("❌ Error leyendo avisos de reposición:", error.message || error);
+            onError(error);
+            return null;
+        }
+        const now = Date.now();
+        return data.filter(row => isActive(row, now));
+    }
+
+    /**
+     * verified: el email es del cliente (sesión de Shopify o código OTP). Si no, doble opt-in.
+     * { status: "created" | "confirm_sent" | "exists" | "limit" | "full" | "disabled" | "error" }
+     */
+    async function subscribe({ email, product, variant, lang = "es", sessionId = null, verified = false }) {
+        if (!enabled) return { status: "disabled" };
+        const normalized = String(email || "").trim().toLowerCase();
+        const variantId = String(variant.id);
+
+        const byEmail = await activeRows("email", normalized);
+        if (!byEmail) return { status: "error" };
+        const existing = byEmail.find(row => row.variant_id === variantId);
+        if (existing?.status === "pending") return { status: "exists" };
+        if (existing && !verified) return { status: "confirm_sent" }; // Ya tiene el email de confirmación
+        if (existing) {
+            // Lo había escrito sin verificar y ahora llega verificado: ya no hace falta confirmar
+            const { error } = await supabase.from(table).update({ status: "pending" }).eq("id", existing.id);
+            if (error) {
+                onError(error);
+                return { status: "error" };
+            }
+            return { status: "created" };
+        }
+        if (byEmail.length >= MAX_PENDING_PER_EMAIL) return { status: "limit" };
+
+        const byVariant = await activeRows("variant_id", variantId);
+        if (!byVariant) return { status: "error" };
+        if (byVariant.length >= maxPerVariant) return { status: "full" };
+
+        if (!verified && sessionId) {
+            const bySession = await activeRows("session_id", sessionId);
+            if (!bySession) return { status: "error" };
+            const otherEmails = new Set(bySession.filter(row => row.status === "unconfirmed" && row.email !== normalized).map(row => row.email));
+            if (otherEmails.size >= MAX_UNCONFIRMED_PER_SESSION) return { status: "limit" };
+        }
+
+        const row = {
+            token: crypto.randomBytes(24).toString("hex"),
+            email: normalized,
+            product_id: String(product.id),
+            variant_id: variantId,
+            product_title: product.title,
+            variant_title: (variant.selectedOptions || []).map(o => o.value).join(" / ") || variant.title || null,
+            handle: product.handle,
+            lang: EMAIL_TEXTS[lang] ? lang : "es",
+            session_id: sessionId,
+            status: verified ? "pending" : "unconfirmed"
+        };
+        const { error } = await supabase.from(table).insert(row);
+        if (error) {
+            console.error("❌ Error guardando aviso de reposición:", error.message || error);
+            onError(error);
+            return { status: "error" };
+        }
+
+        if (!verified) {
+            try {
+                await sendConfirmation(row);
+            } catch (sendError) {
+                console.error("❌ Email de confirmación de aviso falló:", sendError.message || sendError);
+                return { status: "error" };
+            }
+        }
+        console.log(`🔔 Aviso de reposición ${verified ? "creado" : "por confirmar"}: ${product.title} (variante ${variantId})`);
+        return { status: verified ? "created" : "confirm_sent" };
+    }
+
+    async function sendConfirmation(row) {
+        const texts = EMAIL_TEXTS[row.lang] || EMAIL_TEXTS.es;
+        await mailer.send({
+            to: row.email,
+            subject: texts.confirmSubject(row.product_title),
+            text: texts.confirmBody(row.product_title, row.variant_title, backendLink("/api/restock/confirm", row.token))
+        });
+    }
+
+    // true si había una suscripción por confirmar (y sin caducar) con ese token
+    async function confirm(token) {
+        if (!/^[a-f0-9]{48}$/.test(String(token || ""))) return false;
+        const { data, error } = await supabase
+            .from(table)
+            .update({ status: "pending" })
+            .eq("token", token)
+            .eq("status", "unconfirmed")
+            .gte("created_at", new Date(Date.now() - CONFIRM_TTL_MS).toISOString())
+            .select("id");
+        if (error) {
+            onError(error);
+            throw error;
+        }
+        return data.length > 0;
+    }
+
+    // true si había una suscripción pendiente (o por confirmar) con ese token
+    async function unsubscribe(token) {
+        if (!/^[a-f0-9]{48}$/.test(String(token || ""))) return false;
+        const { data, error } = await supabase
+            .from(table)
+            .update({ status: "unsubscribed" })
+            .eq("token", token)
+            .in("status", ["pending", "unconfirmed"])
+            .select("id");
+        if (error) {
+            onError(error);
+            throw error;
+        }
+        return data.length > 0;
+    }
+
+    async function sendAlert(row) {
+        const texts = EMAIL_TEXTS[row.lang] || EMAIL_TEXTS.es;
+        const productUrl = `${storeUrl}/products/${encodeURIComponent(row.handle || "")}?variant=${row.variant_id}`;
+        const unsubscribeUrl = backendLink("/api/restock/unsubscribe", row.token);
+        await mailer.send({
+            to: row.email,
+            subject: texts.subject(row.product_title, row.variant_title),
+            text: `${texts.body(row.product_title, row.variant_title, productUrl)}\n\n--\n${texts.unsubscribe(unsubscribeUrl)}`,
+            headers: { "List-Unsubscribe": `<${unsubscribeUrl}>` }
+        });
+    }
+
+    /**
+     * Cruza las suscripciones pendientes con el stock recién descargado.
+     * Devuelve { pending, restocked, sent, failed } o { skipped } si los emails no pueden salir.
+     */
+    async function notifyRestocked(products) {
+        // Con el mailer de consola las filas se quedan pending: se avisará cuando haya un mailer real
+        if (!enabled) return { skipped: "mailer_console", pending: null, restocked: 0, sent: 0, failed: 0 };
+
+        const { data: pending, error } = await supabase
+            .from(table)
+            .select("*")
+            .eq("status", "pending")
+            .order("created_at", { ascending: true })
+            .limit(PENDING_PAGE);
+        if (error) {
+            onError(error);
+            throw error;
+        }
+
+        const variants = new Map();
+        for (const product of products) {
+            for (const variant of product.variants || []) variants.set(String(variant.id), variant);
+        }
+
+        const byVariant = new Map(); // variantId -> filas (más antiguas primero)
+        for (const row of pending) {
+            if (!variantInStock(variants.get(row.variant_id))) continue;
+            if (!byVariant.has(row.variant_id)) byVariant.set(row.variant_id, []);
+            byVariant.get(row.variant_id).push(row);
+        }
+
+        let sent = 0;
+        let failed = 0;
+        for (const [variantId, rows] of byVariant) {
+            const units = restockedUnits(variants.get(variantId));
+            for (const row of rows.slice(0, Math.min(maxPerVariant, units ?? maxPerVariant))) {
+                try {
+                    await sendAlert(row);
+                } catch (sendError) {
+                    console.error(`❌ Aviso de reposición #${row.id} falló:`, sendError.message || sendError);
+                    failed++;
+                    continue; // Sigue pendiente: se reintenta en la próxima sincronización
+                }
+                sent++;
+                const { error: updateError } = await supabase
+                    .from(table)
+                    .update({ status: "notified", notified_at: new Date().toISOString() })
+                    .eq("id", row.id);
+                if (updateError) onError(updateError);
+            }
+        }
+
+        const result = { pending: pending.length, restocked: byVariant.size, sent, failed };
+        if (byVariant.size > 0) console.log("🔔 Avisos de reposición:", result);
+        return result;
+    }
+
+    // Resumen para el panel: variantes con más gente esperando
+    async function pendingByVariant() {
+        const { data, error } = await supabase
+            .from(table)
+            .select("product_id, variant_id, product_title, variant_title")
+            .eq("status", "pending")
+            .limit(PENDING_PAGE);
+        if (error) {
+            onError(error);
+            throw error;
+        }
+        const counts = new Map();
+        for (const row of data) {
+            const entry = counts.get(row.variant_id) || { ...row, waiting: 0 };
+            entry.waiting++;
+            counts.set(row.variant_id, entry);
+        }
+        return [...counts.values()].sort((a, b) => b.waiting - a.waiting);
+    }
+
+    return { enabled, subscribe, confirm, unsubscribe, notifyRestocked, pendingByVariant };
+}
@@ -18,9 +18,30 @@ import "dotenv/config";
 import fetch from "node-fetch";
 import OpenAI from "openai";
 import fs from "fs";
+import crypto from "crypto";
 import cors from "cors";
 import { COLOR_CONCEPTS, CONCEPTS } from "./concepts.js"; // Diccionarios de sinónimos
 import { createClient } from "@supabase/supabase-js";
+import { createRateLimiter, createDailyBudget } from "./rateLimit.js";
+import { createMemoryVectorStore, createPgVectorStore } from "./vectorStore.js";
+import { createBm25Index } from "./bm25.js";
+import { colorVariants, extractFilters, applyFilters, describeFilters, normalizeSize, variantOption, matchesColor, variantInStock } from "./filters.js";
+import { createSessionStateStore, readOrderMentions, describeState } from "./sessionState.js";
+import { createOrderLookup, formatOrderForAI, formatOrderListForAI } from "./orders.js";
+import { SUPPORTED_LANGUAGES } from "./carriers.js";
+import { createMailer } from "./mailer.js";
+import { createOrderVerifier } from "./orderVerification.js";
+import { verifyMemberToken, memberFromClaims } from "./memberAuth.js";
+import { runToolLoop } from "./toolLoop.js";
+import { classifyIntent, cannedReply, INTENT_CATEGORIES } from "./intentRouter.js";
+import { createRestockAlerts } from "./restockAlerts.js";
+import { createStockCache } from "./stockCache.js";
+import { verifyShopifyHmac, createWebhookDeduper, createWebhookQueue } from "./shopifyWebhooks.js";
+import { findSizeChart, recommendSize, normalizeMeasurements, describeMeasurements, stockForSize, MEASURE_LABELS } from "./sizing.js";
+import {
+    parseBusinessHours, isBusinessOpen, formatTranscript, createTicketConnector,
+    newHandoff, addHandoffMessage, createHandoffStore, handoffReply
+} from "./handoff.js";
 
 /* --- 🏢 INFORMACIÓN DE MARCA (CONTEXTO FIJO) --- */
 const BRAND_INFO = `
@@ -49,18 +70,79 @@ Tenemos un programa de fidelización llamado Izas Members: puntos por compra, ni
 /* --- ⚙️ CONFIGURACIÓN DEL SERVIDOR --- */
 const app = express();
 const PORT = process.env.PORT || 3000;
+app.set("trust proxy", 1); // Render pone un proxy delante: req.ip debe ser la IP real del cliente
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
 
-app.use(cors({ origin: "*" })); // Permite conexiones desde cualquier lugar
+// 🌐 CORS: solo la tienda (ALLOWED_ORIGINS, separados por comas) puede llamar a la API.
+// Sin esto, cualquier web podría gastar nuestro presupuesto de OpenAI o escribir en chat_sessions.
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || "https://www.izas-outdoor.com,https://izas-outdoor.com")
+    .split(",")
+    .map(o => o.trim().replace(/\/$/, "").toLowerCase())
+    .filter(Boolean);
+const IS_DEVELOPMENT = process.env.NODE_ENV === "development";
+const LOCALHOST_ORIGIN = /^https?:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/i;
+const corsRejectionLog = new Map(); // origen -> último aviso (para no inundar los logs)
+
+function isOriginAllowed(origin) {
+    const o = origin.toLowerCase();
+    if (ALLOWED_ORIGINS.includes(o)) return true;
+    return IS_DEVELOPMENT && LOCALHOST_ORIGIN.test(o);
+}
+
+app.use(cors({
+    origin: (origin, callback) => {
+        // Peticiones sin Origin (curl, health checks de Render, servidor a servidor) no son de navegador
+        if (!origin || isOriginAllowed(origin)) return callback(null, true);
+
+        const lastLog = corsRejectionLog.get(origin) || 0;
+        if (Date.now() - lastLog > 60 * 1000) {
+            console.warn(`🚫 CORS: origen rechazado ${origin}`);
+            corsRejectionLog.set(origin, Date.now());
+        }
+        const error = new Error("Origen no permitido");
+        error.status = 403;
+        callback(error);
+    },
+    methods: ["GET", "POST", "OPTIONS"],
+    allowedHeaders: ["Content-Type", "Accept", "x-admin-token"],
+    maxAge: 600 // El navegador cachea el preflight 10 min
+}));
+// Webhooks de Shopify: cuerpo CRUDO (la firma HMAC se calcula sobre los bytes exactos).
+// Va antes de express.json(), que ya no toca un body ya leído.
+app.use("/api/webhooks/shopify", express.raw({ type: "*/*", limit: "5mb" }));
 app.use(express.json()); // Permite recibir datos JSON
 
 // Credenciales Shopify
 const SHOPIFY_STORE = process.env.SHOPIFY_STORE;
-const ADMIN_TOKEN = process.env.SHOPIFY_ADMIN_TOKEN;
+const SHOPIFY_WEBHOOK_SECRET = process.env.SHOPIFY_WEBHOOK_SECRET; // Firma de los webhooks (ver shopifyWebhooks.js)
+const SHOPIFY_TOKEN = process.env.SHOPIFY_ADMIN_TOKEN;
+const SHOPIFY_API_VERSION = process.env.SHOPIFY_API_VERSION || "2024-01";
+
+// Token del panel de administración (/api/admin/*). Sin él, el panel queda desactivado.
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+
+// Secreto compartido con la app de Izas Members para firmar el perfil del socio (ver memberAuth.js)
+const MEMBERS_TOKEN_SECRET = process.env.MEMBERS_TOKEN_SECRET;
+const MEMBERS_TOKEN_ISSUER = process.env.MEMBERS_TOKEN_ISSUER || null;
 
 // Credenciales OpenAI
 const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 
+// Último error visto de cada servicio externo (lo expone /ready para diagnóstico)
+const dependencyErrors = { shopify: null, openai: null, supabase: null };
+
+function recordDependencyError(service, error) {
+    dependencyErrors[service] = {
+        message: (error && (error.message || error.error?.message)) || String(error),
+        at: new Date().toISOString()
+    };
+}
+
+// Estado de cada conversación (pedido activo, producto en foco, talla...). Ver sessionState.js
+const sessionStore = createSessionStateStore(supabase, {
+    onError: error => recordDependencyError("supabase", error)
+});
+
 
 /* ==========================================================================
    🛠️ HELPERS (HERRAMIENTAS DE AYUDA)
@@ -72,24 +154,6 @@ function includesWord(q, word) {
     return q.includes(w);
 }
 
-// Genera variantes gramaticales de colores (Rojo -> Rojas, Rojos...)
-function colorVariants(base) {
-    const variants = [base];
-    if (base.endsWith("o")) {
-        variants.push(base.replace(/o$/, "a"));
-        variants.push(base + "s");
-        variants.push(base.replace(/o$/, "os"));
-        variants.push(base.replace(/o$/, "as"));
-    } else if (base.endsWith("z")) {
-        variants.push(base.replace(/z$/, "ces"));
-    } else if (/[aeiouáéíóú]$/i.test(base)) {
-        variants.push(base + "s");
-    } else {
-        variants.push(base + "es");
-    }
-    return variants.filter(Boolean);
-}
-
 // Normaliza la búsqueda del usuario (traduce "chupa" a "chaqueta", etc.)
 function normalizeQuery(query) {
     let q = ` ${query.toLowerCase()} `;
@@ -158,6 +222,47 @@ function extractJSON(str) {
     return JSON.parse(str);
 }
 
+// Lector incremental del campo "reply" de un JSON que llega troceado (streaming).
+// push(chunk) devuelve el texto nuevo de "reply" ya decodificado (sin escapes JSON).
+function createReplyExtractor() {
+    const ESCAPES = { '"': '"', "\\": "\\", "/": "/", b: "\b", f: "\f", n: "\n", r: "\r", t: "\t" };
+    let raw = "";
+    let cursor = -1;     // Posición dentro de raw donde empieza el valor de "reply"
+    let finished = false;
+
+    return function push(chunk) {
+        raw += chunk;
+        if (finished) return "";
+
+        if (cursor === -1) {
+            const start = raw.match(/"reply"\s*:\s*"/);
+            if (!start) return "";
+            cursor = start.index + start[0].length;
+        }
+
+        let out = "";
+        while (cursor < raw.length) {
+            const ch = raw[cursor];
+            if (ch === '"') { finished = true; break; }
+            if (ch !== "\\") { out += ch; cursor++; continue; }
+
+            // Secuencia de escape: si aún no ha llegado entera, esperamos al siguiente trozo
+            const next = raw[cursor + 1];
+            if (next === undefined) break;
+            if (next === "u") {
+                const hex = raw.slice(cursor + 2, cursor + 6);
+                if (hex.length < 4) break;
+                out += String.fromCharCode(parseInt(hex, 16));
+                cursor += 6;
+            } else {
+                out += ESCAPES[next] ?? next;
+                cursor += 2;
+            }
+        }
+        return out;
+    };
+}
+
 
 /* ==========================================================================
    🛍️ CONEXIÓN CON SHOPIFY (GRAPHQL) - CON SISTEMA ANTICAÍDAS
@@ -165,14 +270,14 @@ function extractJSON(str) {
 
 // 🔥 FUNCIÓN MEJORADA: Incluye sistema de reintentos (Retries)
 async function fetchGraphQL(query, variables = {}, retries = 3) {
-    const url = `https://${SHOPIFY_STORE}/admin/api/2024-01/graphql.json`;
+    const url = `https://${SHOPIFY_STORE}/admin/api/${SHOPIFY_API_VERSION}/graphql.json`;
     
     for (let i = 0; i < retries; i++) {
         try {
             const res = await fetch(url, {
                 method: "POST",
                 headers: {
-                    "X-Shopify-Access-Token": ADMIN_TOKEN,
+                    "X-Shopify-Access-Token": SHOPIFY_TOKEN,
                     "Content-Type": "application/json",
                 },
                 body: JSON.stringify({ query, variables }),
@@ -184,13 +289,17 @@ async function fetchGraphQL(query, variables = {}, retries = 3) {
             }
 
             const json = await res.json();
-            if (json.errors) console.error("❌ GraphQL Error:", json.errors);
+            if (json.errors) {
+                console.error("❌ GraphQL Error:", json.errors);
+                recordDependencyError("shopify", { message: json.errors[0]?.message || "GraphQL Error" });
+            }
             return json.data;
 
         } catch (error) {
             // Si es el último intento, fallamos de verdad
             if (i === retries - 1) {
                 console.error(`❌ Fallo definitivo tras ${retries} intentos:`, error.message);
+                recordDependencyError("shopify", error);
                 throw error;
             }
             
@@ -202,21 +311,9 @@ async function fetchGraphQL(query, variables = {}, retries = 3) {
     }
 }
 
-// 📦 RECUPERADOR DE PRODUCTOS: Descarga todo el catálogo para estudiarlo
-async function getAllProducts() {
-    let hasNextPage = true;
-    let cursor = null;
-    const products = [];
-
-    // Consulta gigante para traer todo: Info, variantes, stock, precios, opciones...
-    const query = `
-    query getProducts($cursor: String) {
-      products(first: 30, after: $cursor, query: "status:active") {
-        pageInfo { hasNextPage }
-        edges {
-          cursor
-          node {
-            id title description productType tags handle
+// Campos de producto que guardamos en el índice: info, variantes, stock, precios, opciones...
+const PRODUCT_FIELDS = `
+            id title description productType tags handle status
             images(first: 1) { edges { node { url } } }
             descriptionHtml 
             options { name values }
@@ -224,13 +321,64 @@ async function getAllProducts() {
             variants(first: 100) {
               edges {
                 node {
-                  id title price availableForSale inventoryQuantity
+                  id title sku price availableForSale inventoryQuantity
                   selectedOptions { name value }
                 }
               }
             }
             metafields(first: 20) { edges { node { namespace key value } } }
-          }
+`;
+
+// Nodo de producto de GraphQL -> producto limpio del índice
+function mapProductNode(node) {
+    const cleanId = node.id.split("/").pop(); // Limpia el ID
+
+    // Procesamos las variantes para guardarlas limpias
+    const variantsClean = node.variants.edges.map(v => ({
+        id: (v.node.id || "").split("/").pop(),
+        title: v.node.title,
+        sku: v.node.sku || "",
+        price: v.node.price,
+        image: v.node.image?.url || "",
+        availableForSale: v.node.availableForSale,
+        inventoryQuantity: v.node.inventoryQuantity,
+        selectedOptions: v.node.selectedOptions
+    }));
+
+    return {
+        id: cleanId,
+        title: node.title,
+        handle: node.handle,
+        description: node.description,
+        body_html: node.descriptionHtml,
+        productType: node.productType,
+        price: node.variants.edges[0]?.node.price || "Consultar",
+        tags: node.tags,
+        image: node.images.edges[0]?.node.url || "",
+        options: node.options.map(o => ({ name: o.name, values: o.values })),
+        variants: variantsClean,
+        metafields: Object.fromEntries(
+            node.metafields.edges.map(m => [`${m.node.namespace}.${m.node.key}`, safeParse(m.node.value)])
+        ),
+    };
+}
+
+// 📦 RECUPERADOR DE PRODUCTOS: Descarga todo el catálogo para estudiarlo
+// Con strict=true lanza error si alguna página falla (la sincronización no puede
+// trabajar con un catálogo a medias o borraría productos que sí existen).
+async function getAllProducts(strict = false) {
+    let hasNextPage = true;
+    let cursor = null;
+    const products = [];
+
+    // Consulta gigante para traer todo
+    const query = `
+    query getProducts($cursor: String) {
+      products(first: 30, after: $cursor, query: "status:active") {
+        pageInfo { hasNextPage }
+        edges {
+          cursor
+          node {${PRODUCT_FIELDS}          }
         }
       }
     }
@@ -240,43 +388,13 @@ async function getAllProducts() {
         while (hasNextPage) {
             const data = await fetchGraphQL(query, { cursor });
             if (!data || !data.products) {
+                if (strict) throw new Error("Página de productos vacía o con errores");
                 console.error("❌ Error recuperando página de productos. Saltando...");
                 break;
             }
 
             const edges = data.products.edges;
-
-            edges.forEach(({ node }) => {
-                const cleanId = node.id.split("/").pop(); // Limpia el ID
-
-                // Procesamos las variantes para guardarlas limpias
-                const variantsClean = node.variants.edges.map(v => ({
-                    id: (v.node.id || "").split("/").pop(),
-                    title: v.node.title,
-                    price: v.node.price,
-                    image: v.node.image?.url || "",
-                    availableForSale: v.node.availableForSale,
-                    inventoryQuantity: v.node.inventoryQuantity,
-                    selectedOptions: v.node.selectedOptions
-                }));
-
-                products.push({
-                    id: cleanId,
-                    title: node.title,
-                    handle: node.handle,
-                    description: node.description,
-                    body_html: node.descriptionHtml,
-                    productType: node.productType,
-                    price: node.variants.edges[0]?.node.price || "Consultar",
-                    tags: node.tags,
-                    image: node.images.edges[0]?.node.url || "",
-                    options: node.options.map(o => ({ name: o.name, values: o.values })),
-                    variants: variantsClean,
-                    metafields: Object.fromEntries(
-                        node.metafields.edges.map(m => [`${m.node.namespace}.${m.node.key}`, safeParse(m.node.value)])
-                    ),
-                });
-            });
+            edges.forEach(({ node }) => products.push(mapProductNode(node)));
 
             hasNextPage = data.products.pageInfo.hasNextPage;
             if (hasNextPage) cursor = edges[edges.length - 1].cursor;
@@ -285,20 +403,29 @@ async function getAllProducts() {
             // await new Promise(r => setTimeout(r, 200)); 
         }
     } catch (e) {
+        if (strict) throw e;
         console.error("⚠️ Error durante getAllProducts (Carga parcial):", e.message);
     }
     return products;
 }
 
-// ⚡ LIVE STOCK CHECK: Actualiza el stock de productos específicos en tiempo real
-// 🔥 FIX CRÍTICO: Mantiene precios e imágenes si el check rápido no los trae
-async function getLiveStockForProducts(products) {
-    if (!products || products.length === 0) return products;
-
-    console.log("⚡ Actualizando stock en tiempo real para", products.length, "productos...");
+// Un producto por ID (webhooks). null si no existe o no está activo (no debe estar en el índice).
+async function getProductById(id) {
+    const query = `
+    query getProduct($id: ID!) {
+      product(id: $id) {${PRODUCT_FIELDS}      }
+    }
+    `;
+    const data = await fetchGraphQL(query, { id: `gid://shopify/Product/${id}` });
+    if (!data) throw new Error(`Shopify no devolvió el producto ${id}`);
+    if (!data.product || data.product.status !== "ACTIVE") return null;
+    return mapProductNode(data.product);
+}
 
-    // Preparamos los IDs para Shopify
-    const productIds = products.map(p => `gid://shopify/Product/${p.id}`);
+// ⚡ LIVE STOCK CHECK: variantes frescas de Shopify para varios productos (una consulta).
+// Map(id -> variantes); lanza error si Shopify no contesta bien (la caché sirve lo último).
+async function fetchLiveVariants(ids) {
+    console.log("⚡ Actualizando stock en tiempo real para", ids.length, "productos...");
 
     const query = `
     query getNodes($ids: [ID!]!) {
@@ -321,227 +448,636 @@ async function getLiveStockForProducts(products) {
     }
     `;
 
-    try {
-        const data = await fetchGraphQL(query, { ids: productIds });
-        
-        if (!data || !data.nodes) return products;
+    const data = await fetchGraphQL(query, { ids: ids.map(id => `gid://shopify/Product/${id}`) });
+    if (!data || !data.nodes) throw new Error("Shopify no devolvió el stock");
+
+    return new Map(data.nodes
+        .filter(node => node && node.variants)
+        .map(node => [node.id.split("/").pop(), node.variants.edges.map(v => ({
+            id: v.node.id.split("/").pop(),
+            title: v.node.title,
+            inventoryQuantity: v.node.inventoryQuantity,
+            availableForSale: v.node.availableForSale,
+            selectedOptions: v.node.selectedOptions
+        }))]));
+}
 
-        // Actualizamos los productos en memoria con los datos frescos
-        return products.map(p => {
-            // Buscamos el nodo fresco correspondiente
-            const freshNode = data.nodes.find(n => n && n.id.endsWith(`/${p.id}`));
-            
-            if (!freshNode) return p; // Si falla, devolvemos el viejo
-
-            // Mapeamos las nuevas variantes preservando datos antiguos importantes (Precio/Img)
-            const freshVariants = freshNode.variants.edges.map(v => {
-                const variantId = v.node.id.split("/").pop();
-                // Buscamos la variante antigua para recuperar precio e imagen si faltan
-                const oldVariant = p.variants.find(oldV => oldV.id === variantId);
-
-                return {
-                    id: variantId,
-                    title: v.node.title,
-                    // Mantenemos precio e imagen del índice (son pesados y cambian poco)
-                    price: oldVariant?.price || "Consultar",
-                    image: oldVariant?.image || "",
-                    // DATOS CLAVE ACTUALIZADOS:
-                    inventoryQuantity: v.node.inventoryQuantity,
-                    availableForSale: v.node.availableForSale,
-                    selectedOptions: v.node.selectedOptions
-                };
-            });
+// Caché por producto (ver stockCache.js): los productos populares no se consultan en cada mensaje
+const liveStockCache = createStockCache({
+    load: fetchLiveVariants,
+    ttlMs: Number(process.env.LIVE_STOCK_TTL_MS) || 30000,
+    timeoutMs: Number(process.env.LIVE_STOCK_TIMEOUT_MS) || 3000
+});
 
-            return { ...p, variants: freshVariants };
+// 🔥 FIX CRÍTICO: Mantiene precios e imágenes si el check rápido no los trae.
+// Si Shopify no responde a tiempo, el producto va con stockStale (y stockCheckedAt si hay dato en caché).
+async function getLiveStockForProducts(products) {
+    if (!products || products.length === 0) return products;
+
+    const live = await liveStockCache.get(products.map(p => String(p.id)));
+
+    return products.map(p => {
+        const { stockStale, stockCheckedAt, ...product } = p; // Por si llega un producto ya marcado
+        const entry = live.get(String(product.id));
+        if (!entry) return product; // Shopify no lo conoce: nos quedamos con el índice
+        if (!entry.value) return { ...product, stockStale: true, stockCheckedAt: null }; // Solo el dato del catálogo
+
+        // Mapeamos las nuevas variantes preservando datos antiguos importantes (Precio/Img)
+        const freshVariants = entry.value.map(fresh => {
+            // Buscamos la variante antigua para recuperar precio e imagen si faltan
+            const oldVariant = product.variants.find(oldV => oldV.id === fresh.id);
+            return {
+                ...fresh,
+                sku: oldVariant?.sku || "",
+                // Mantenemos precio e imagen del índice (son pesados y cambian poco)
+                price: oldVariant?.price || "Consultar",
+                image: oldVariant?.image || ""
+            };
         });
 
+        const freshProduct = { ...product, variants: freshVariants };
+        if (entry.stale) {
+            freshProduct.stockStale = true;
+            freshProduct.stockCheckedAt = new Date(entry.fetchedAt).toISOString();
+        }
+        return freshProduct;
+    });
+}
+
+// 🚚 RASTREADOR DE PEDIDOS: pedidos concretos, historial del cliente, envíos y devoluciones (ver orders.js)
+const orderLookup = createOrderLookup({ fetchGraphQL });
+
+// ✉️ Emails salientes (códigos de verificación). Ver mailer.js
+const mailer = createMailer({
+    transport: process.env.MAILER_TRANSPORT || "console",
+    from: process.env.MAILER_FROM || undefined,
+    webhookUrl: process.env.MAILER_WEBHOOK_URL,
+    webhookSecret: process.env.MAILER_WEBHOOK_SECRET,
+    smtp: {
+        host: process.env.SMTP_HOST,
+        port: process.env.SMTP_PORT,
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+    }
+});
+
+// 🔐 Intentos fallidos por sesión/IP y código por email antes de enseñar un pedido (ver orderVerification.js)
+const ORDER_OTP = process.env.ORDER_OTP === "true";
+// Con el mailer de consola el código acabaría en los logs en vez de en el email del cliente
+if (ORDER_OTP && mailer.kind === "console") {
+    if (!IS_DEVELOPMENT) {
+        console.error("❌ ORDER_OTP=true necesita un mailer real (MAILER_TRANSPORT=webhook o smtp): con el de consola los códigos solo salen en los logs.");
+        process.exit(1);
+    }
+    console.warn("⚠️ ORDER_OTP con el mailer de consola: los códigos salen en los logs (solo vale en desarrollo).");
+}
+const orderVerifier = createOrderVerifier({
+    maxFailures: Number(process.env.ORDER_MAX_FAILURES) || 5,
+    lockoutMs: Number(process.env.ORDER_LOCKOUT_MS) || 30 * 60 * 1000,
+    otpEnabled: ORDER_OTP,
+    mailer
+});
+
+// 🙋 Derivación a una persona: incidencia con la transcripción y toma de control por un agente (ver handoff.js)
+const handoffStore = createHandoffStore(supabase, {
+    onError: error => recordDependencyError("supabase", error)
+});
+const ticketConnector = createTicketConnector({
+    kind: process.env.HANDOFF_CONNECTOR || "none",
+    mailer,
+    emailTo: process.env.HANDOFF_EMAIL_TO || "info@izas-outdoor.com",
+    webhookUrl: process.env.HANDOFF_WEBHOOK_URL,
+    webhookSecret: process.env.HANDOFF_WEBHOOK_SECRET,
+    zendesk: {
+        subdomain: process.env.ZENDESK_SUBDOMAIN,
+        email: process.env.ZENDESK_EMAIL,
+        apiToken: process.env.ZENDESK_API_TOKEN
+    }
+});
+// 🔔 Avisos de "vuelve a haber stock" (ver restockAlerts.js). Se revisan en cada sincronización.
+const restockAlerts = createRestockAlerts(supabase, {
+    mailer,
+    publicUrl: process.env.PUBLIC_BACKEND_URL || "https://izas-chatbot-backend.onrender.com",
+    maxPerVariant: Number(process.env.RESTOCK_MAX_PER_VARIANT) || 50,
+    onError: error => recordDependencyError("supabase", error)
+});
+const HANDOFF_TIMEZONE = process.env.HANDOFF_TIMEZONE || "Europe/Madrid";
+const HANDOFF_SUMMER_MONTHS = (process.env.HANDOFF_SUMMER_MONTHS || "7,8").split(",").map(Number).filter(Boolean);
+
+
+/* ==========================================================================
+   🤖 CEREBRO IA (INDEXADO Y FORMATEO)
+   ========================================================================== */
+
+let aiIndex = []; // Aquí viven los productos en memoria RAM
+let faqIndex = []; // Aquí viven las FAQs en memoria RAM
+const INDEX_FILE = "./ai-index.json";
+const FAQ_FILE = "./faqs.json";
+const GREETINGS_FILE = "./greetings.json";
+const INDEX_TABLE = "ai_index";     // Tabla de Supabase (ver SUPABASE_SETUP.sql)
+const INDEX_PAGE_SIZE = 200;        // Filas por página al leer (cada fila lleva un embedding de 3072 floats)
+const INDEX_WRITE_BATCH = 25;       // Filas por upsert (evita peticiones de varios MB)
+const VECTOR_CANDIDATES = 40;       // Candidatos que pedimos al almacén vectorial antes de re-ordenar
+const LEXICAL_CANDIDATES = 40;      // Candidatos que pedimos al índice BM25
+const INDEX_FLUSH_DELAY_MS = 10000; // Cambios por webhook: BM25 y disco se rehacen como mucho cada 10 s
+
+// Almacén vectorial: "memory" (por defecto, LSH en RAM) o "pgvector" (Supabase)
+const vectorStore = process.env.VECTOR_STORE === "pgvector"
+    ? createPgVectorStore(supabase, { table: INDEX_TABLE })
+    : createMemoryVectorStore();
+let aiIndexById = new Map(); // id -> producto (para resolver los resultados del almacén vectorial)
+
+// Índice léxico BM25 (pesos por campo: el título es lo que más cuenta)
+const lexicalIndex = createBm25Index({
+    fields: { title: 3, handle: 2, tags: 2, skus: 2, productType: 1.5, metafields: 1 }
+});
+
+// Sustituye el índice en memoria de golpe (las búsquedas en curso siguen con el anterior)
+function setAiIndex(nextIndex) {
+    aiIndex = nextIndex;
+    aiIndexById = new Map(nextIndex.map(p => [String(p.id), p]));
+    rebuildLexicalIndex();
+}
+
+function rebuildLexicalIndex() {
+    lexicalIndex.build(aiIndex.map(p => ({ id: p.id, fields: lexicalFields(p) })));
+}
+
+// Cambios sueltos (webhooks): se tocan solo el producto y su entrada en aiIndexById.
+// Reconstruir BM25 y serializar el índice entero en cada evento bloquearía el servidor
+// durante una ráfaga de pedidos, así que eso se hace una vez por tanda (scheduleIndexFlush).
+function upsertAiIndexEntry(entry) {
+    const id = String(entry.id);
+    const pos = aiIndexById.has(id) ? aiIndex.findIndex(p => String(p.id) === id) : -1;
+    if (pos >= 0) aiIndex[pos] = entry;
+    else aiIndex.push(entry);
+    aiIndexById.set(id, entry);
+    scheduleIndexFlush();
+}
+
+function removeAiIndexEntry(productId) {
+    const id = String(productId);
+    const pos = aiIndex.findIndex(p => String(p.id) === id);
+    if (pos >= 0) aiIndex.splice(pos, 1);
+    aiIndexById.delete(id); // BM25 puede devolverlo hasta la tanda: las búsquedas ignoran ids sin producto
+    scheduleIndexFlush();
+}
+
+// El primer cambio arranca el temporizador y los siguientes se suman a esa tanda
+let indexFlushTimer = null;
+function scheduleIndexFlush() {
+    if (indexFlushTimer) return;
+    indexFlushTimer = setTimeout(() => {
+        indexFlushTimer = null;
+        rebuildLexicalIndex();
+        saveIndexToDisk(aiIndex);
+    }, INDEX_FLUSH_DELAY_MS);
+    indexFlushTimer.unref();
+}
+
+// Textos de cada producto que entran en el índice BM25
+function lexicalFields(product) {
+    const metafieldText = Object.values(product.metafields || {})
+        .map(value => (typeof value === "string" ? value : JSON.stringify(value)))
+        .join(" ")
+        .substring(0, 2000); // Algunos metafields (guías, HTML) son enormes
+    return {
+        title: product.title,
+        handle: (product.handle || "").replace(/-/g, " "),
+        tags: (product.tags || []).join(" "),
+        skus: (product.variants || []).map(v => v.sku).filter(Boolean).join(" "),
+        productType: product.productType,
+        metafields: metafieldText
+    };
+}
+
+// Alinea el almacén vectorial con aiIndex. Con pgvector debe llamarse DESPUÉS de
+// guardar las filas en Supabase: rebuild() solo rellena los embeddings vacíos, así
+// que los productos re-vectorizados (`reembedded`) se escriben aparte con upsert().
+async function refreshVectorStore(reembedded = []) {
+    try {
+        const started = Date.now();
+        if (vectorStore.kind === "pgvector" && reembedded.length > 0) await vectorStore.upsert(reembedded);
+        await vectorStore.rebuild(aiIndex);
+        console.log(`🧭 Almacén vectorial (${vectorStore.kind}) listo en ${Date.now() - started}ms.`);
     } catch (error) {
-        console.error("❌ Error actualizando stock live:", error);
-        return products; // En caso de error, usamos el caché
+        console.error(`❌ Error actualizando almacén vectorial (${vectorStore.kind}):`, error.message || error);
+        if (vectorStore.kind === "pgvector") recordDependencyError("supabase", error);
     }
 }
 
-// 🚚 RASTREADOR DE PEDIDOS: Busca estado, tracking y transportista
-async function getOrderStatus(orderId, userEmail) {
-    const cleanId = orderId.replace("#", "").trim();
-    console.log(`🔍 Consultando Shopify para ID: ${cleanId}, Email user: ${userEmail}`);
+function buildAIText(product) {
+    return `TIPO: ${product.productType}\nTITULO: ${product.title}\nDESC: ${product.description}\nTAGS: ${product.tags.join(", ")}`;
+}
+
 
-    const query = `
-    query getOrder($query: String!) {
-      orders(first: 1, query: $query) {
-        nodes {
-          name email displayFulfillmentStatus
-          totalPriceSet { shopMoney { amount currencyCode } }
-          fulfillments { trackingInfo { number url company } }
-          lineItems(first: 10) { edges { node { title quantity } } }
+/* ==========================================================================
+   💾 PERSISTENCIA DEL ÍNDICE (SUPABASE + DISCO)
+   ==========================================================================
+   El disco de Render se borra en cada arranque en frío, así que la fuente de
+   verdad del índice es la tabla `ai_index` de Supabase (una fila por producto,
+   con el producto completo + embedding en `payload`). El fichero local queda
+   solo como respaldo para desarrollo o si Supabase no responde.
+   ========================================================================== */
+
+// Lee todo el índice de Supabase paginando (devuelve [] si la tabla está vacía o falla)
+async function loadIndexFromSupabase() {
+    const rows = [];
+    try {
+        for (let from = 0; ; from += INDEX_PAGE_SIZE) {
+            const { data, error } = await supabase
+                .from(INDEX_TABLE)
+                .select("payload")
+                .order("id")
+                .range(from, from + INDEX_PAGE_SIZE - 1);
+
+            if (error) throw error;
+            rows.push(...data.map(r => r.payload).filter(p => p && Array.isArray(p.embedding)));
+            if (data.length < INDEX_PAGE_SIZE) break;
         }
-      }
+    } catch (error) {
+        console.error("❌ Error leyendo índice de Supabase:", error.message || error);
+        recordDependencyError("supabase", error);
+        return [];
     }
-    `;
+    return rows;
+}
+
+// Guarda (upsert) en Supabase los productos nuevos o cambiados. Devuelve true si todo fue bien.
+async function saveIndexRows(products) {
+    if (!products || products.length === 0) return true;
+
+    let ok = true;
+    for (let i = 0; i < products.length; i += INDEX_WRITE_BATCH) {
+        const batch = products.slice(i, i + INDEX_WRITE_BATCH).map(p => ({
+            id: String(p.id),
+            payload: p,
+            updated_at: new Date().toISOString()
+        }));
+        const { error } = await supabase.from(INDEX_TABLE).upsert(batch, { onConflict: "id" });
+        if (error) {
+            console.error(`❌ Error guardando índice en Supabase (lote ${i / INDEX_WRITE_BATCH + 1}):`, error.message || error);
+            recordDependencyError("supabase", error);
+            ok = false;
+        }
+    }
+    return ok;
+}
+
+function loadIndexFromDisk() {
+    if (!fs.existsSync(INDEX_FILE)) return [];
+    try {
+        return JSON.parse(fs.readFileSync(INDEX_FILE, "utf8"));
+    } catch (e) {
+        console.error("⚠️ Caché de disco corrupta, se ignorará.");
+        return [];
+    }
+}
 
+function saveIndexToDisk(index) {
     try {
-        const data = await fetchGraphQL(query, { query: `name:${cleanId}` });
+        fs.writeFileSync(INDEX_FILE, JSON.stringify(index));
+        console.log("💾 Índice guardado en disco.");
+    } catch (e) { console.error("⚠️ No se pudo guardar caché en disco (read-only system?)"); }
+}
 
-        if (!data || !data.orders || data.orders.nodes.length === 0) {
-            return { found: false, reason: "not_found" };
+// Borra de Supabase los productos que ya no existen (o ya no están activos) en Shopify
+async function deleteIndexRows(ids) {
+    if (!ids || ids.length === 0) return true;
+
+    let ok = true;
+    for (let i = 0; i < ids.length; i += INDEX_PAGE_SIZE) {
+        const { error } = await supabase.from(INDEX_TABLE).delete().in("id", ids.slice(i, i + INDEX_PAGE_SIZE).map(String));
+        if (error) {
+            console.error("❌ Error borrando productos del índice en Supabase:", error.message || error);
+            recordDependencyError("supabase", error);
+            ok = false;
         }
+    }
+    return ok;
+}
 
-        const order = data.orders.nodes[0];
 
-        // 🔒 VERIFICACIÓN DE SEGURIDAD
-        if (order.email.toLowerCase().trim() !== userEmail.toLowerCase().trim()) {
-            return { found: false, reason: "email_mismatch" };
-        }
+/* ==========================================================================
+   🔄 SINCRONIZACIÓN INCREMENTAL DEL CATÁLOGO
+   ==========================================================================
+   Compara el catálogo activo de Shopify con el índice en memoria:
+   - Producto nuevo o con texto cambiado (hash de buildAIText) -> se re-vectoriza.
+   - Producto igual -> se reutiliza su embedding (solo se refrescan precio/stock).
+   - Producto que ya no está activo -> se elimina.
+   El nuevo índice se construye aparte y se sustituye de golpe, así las
+   búsquedas en curso nunca ven un índice a medias.
+   ========================================================================== */
+
+const EMBEDDING_MODEL = "text-embedding-3-large";
+const EMBEDDING_BATCH = 50; // Textos por llamada a OpenAI
+const SYNC_INTERVAL_MS = Number(process.env.SYNC_INTERVAL_MS) || 6 * 60 * 60 * 1000; // 6h por defecto
+const SYNC_INITIAL_DELAY_MS = 2 * 60 * 1000; // Primera sincronización a los ~2 min del arranque
+
+// Estado de la última sincronización (útil para logs y diagnóstico)
+const syncState = {
+    running: false,
+    lastRunAt: null,
+    lastSuccessAt: null,
+    lastResult: null,
+    lastError: null,
+    failures: 0 // Fallos consecutivos
+};
+let syncPromise = null; // Si ya hay una sincronización en marcha, las demás llamadas esperan a esa
+
+function hashText(text) {
+    return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+// Hash del texto que se vectoriza: si no cambia, el embedding sigue siendo válido
+function contentHash(product) {
+    return product.contentHash || hashText(buildAIText(product));
+}
+
+// Hash de todos los datos del producto (precio, variantes, stock...) sin el embedding
+function dataHash(product) {
+    const data = { ...product };
+    delete data.embedding;
+    delete data.contentHash;
+    delete data.dataHash;
+    return hashText(JSON.stringify(data));
+}
 
-        // Formatear lista de artículos
-        let itemsText = "Varios artículos";
-        if (order.lineItems && order.lineItems.edges) {
-            itemsText = order.lineItems.edges.map(e => `${e.node.quantity}x ${e.node.title}`).join(", ");
+// Vectoriza varios textos en lotes (una llamada a OpenAI por lote)
+async function embedTexts(texts) {
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += EMBEDDING_BATCH) {
+        const batch = texts.slice(i, i + EMBEDDING_BATCH);
+        let res;
+        try {
+            res = await openai.embeddings.create({ model: EMBEDDING_MODEL, input: batch });
+        } catch (error) {
+            recordDependencyError("openai", error);
+            throw error;
         }
+        dailyBudget.record(EMBEDDING_MODEL, res.usage);
+        res.data.sort((a, b) => a.index - b.index).forEach(d => vectors.push(d.embedding));
+    }
+    return vectors;
+}
 
-        // Lógica para detectar si ha salido o no
-        const isUnfulfilled = order.displayFulfillmentStatus === "UNFULFILLED";
-        const tracking = (order.fulfillments && order.fulfillments[0]?.trackingInfo[0]) || null;
+// full=true ignora los embeddings existentes y re-vectoriza todo el catálogo
+function syncCatalog({ full = false } = {}) {
+    if (syncPromise) return syncPromise;
 
-        let carrierName = "Pendiente de envío";
-        let trackingNumber = "En preparación";
-        let finalTrackingUrl = null;
+    syncPromise = runCatalogSync(full).finally(() => { syncPromise = null; });
+    return syncPromise;
+}
 
-        if (!isUnfulfilled) {
-            carrierName = tracking?.company || "Agencia de transporte";
-            trackingNumber = tracking?.number || "No disponible";
-            finalTrackingUrl = tracking?.url || null;
+async function runCatalogSync(full) {
+    const startedAt = Date.now();
+    syncState.running = true;
+    syncState.lastRunAt = new Date(startedAt).toISOString();
+    console.log(`🔄 Sincronizando catálogo (${full ? "completa" : "incremental"})...`);
 
-            // Correcciones de nombres y links oficiales
-            if (carrierName === "0002") carrierName = "Correos Express";
-            if (carrierName === "0003") {
-                carrierName = "DHL";
-                if (tracking?.number) {
-                    finalTrackingUrl = `https://www.dhl.com/es-es/home/tracking.html?tracking-id=${tracking.number}&submit=1`;
-                }
+    try {
+        const products = await getAllProducts(true);
+        // Nunca vaciamos el índice por una respuesta vacía de Shopify
+        if (products.length === 0) throw new Error("Shopify devolvió 0 productos");
+
+        const previous = new Map(aiIndex.map(p => [String(p.id), p]));
+        const nextIndex = [];
+        const toEmbed = [];   // Posiciones de nextIndex que necesitan embedding nuevo
+        const changed = [];   // Filas a reescribir en Supabase
+        let added = 0;
+
+        for (const product of products) {
+            const prev = previous.get(String(product.id));
+            const entry = { ...product, contentHash: hashText(buildAIText(product)) };
+            entry.dataHash = dataHash(entry);
+
+            if (!prev) added++;
+
+            if (!full && prev && Array.isArray(prev.embedding) && contentHash(prev) === entry.contentHash) {
+                entry.embedding = prev.embedding;
+                if (prev.dataHash !== entry.dataHash) changed.push(entry);
+            } else {
+                toEmbed.push(nextIndex.length);
+                changed.push(entry);
             }
+            nextIndex.push(entry);
         }
 
-        return {
-            found: true,
-            data: {
-                id: order.name,
-                status: order.displayFulfillmentStatus,
-                trackingNumber: trackingNumber,
-                trackingUrl: finalTrackingUrl,
-                carrier: carrierName,
-                items: itemsText,
-                price: order.totalPriceSet?.shopMoney?.amount || ""
-            }
+        if (toEmbed.length > 0) {
+            console.log(`🤖 Vectorizando ${toEmbed.length} productos nuevos o cambiados...`);
+            const vectors = await embedTexts(toEmbed.map(i => buildAIText(nextIndex[i])));
+            toEmbed.forEach((pos, i) => { nextIndex[pos].embedding = vectors[i]; });
+        }
+
+        const freshIds = new Set(nextIndex.map(p => String(p.id)));
+        const removedIds = [...previous.keys()].filter(id => !freshIds.has(id));
+
+        setAiIndex(nextIndex); // ⚡ Sustitución atómica del índice en memoria
+
+        const saved = await saveIndexRows(changed);
+        const deleted = await deleteIndexRows(removedIds);
+        saveIndexToDisk(aiIndex);
+        await refreshVectorStore(toEmbed.map(pos => nextIndex[pos]));
+
+        // 🔔 Stock recién descargado: avisamos a quien esperaba una variante que ha vuelto
+        const restock = await restockAlerts.notifyRestocked(aiIndex).catch(error => {
+            console.error("❌ Error revisando avisos de reposición:", error.message || error);
+            return null;
+        });
+
+        const result = {
+            total: aiIndex.length,
+            added,
+            updated: changed.length - added,
+            reembedded: toEmbed.length,
+            removed: removedIds.length,
+            persisted: saved && deleted,
+            restockAlertsSent: restock?.skipped ? `omitidos (${restock.skipped})` : restock ? restock.sent : null,
+            durationMs: Date.now() - startedAt
         };
+        syncState.lastSuccessAt = new Date().toISOString();
+        syncState.lastResult = result;
+        syncState.lastError = null;
+        syncState.failures = 0;
+        console.log("✅ Sincronización completada:", result);
+        return result;
 
     } catch (error) {
-        console.error("❌ Error buscando pedido:", error);
-        return { found: false, reason: "error" };
+        syncState.lastError = error.message || String(error);
+        syncState.failures++;
+        console.error("❌ Error sincronizando catálogo:", syncState.lastError);
+        throw error;
+    } finally {
+        syncState.running = false;
     }
 }
 
+// Programa la sincronización automática: una al poco de arrancar y luego cada SYNC_INTERVAL_MS
+function scheduleCatalogSync() {
+    const run = () => syncCatalog().catch(() => { /* ya registrado en syncState */ });
+    setTimeout(() => {
+        run();
+        setInterval(run, SYNC_INTERVAL_MS);
+    }, SYNC_INITIAL_DELAY_MS);
+    console.log(`⏰ Sincronización automática cada ${Math.round(SYNC_INTERVAL_MS / 60000)} min.`);
+}
 
-/* ==========================================================================
-   🤖 CEREBRO IA (INDEXADO Y FORMATEO)
-   ========================================================================== */
-
-let aiIndex = []; // Aquí viven los productos en memoria RAM
-let faqIndex = []; // Aquí viven las FAQs en memoria RAM
-const INDEX_FILE = "./ai-index.json";
-const FAQ_FILE = "./faqs.json";
+let indexLoading = false; // true mientras loadIndexes() está cargando/vectorizando
 
-function buildAIText(product) {
-    return `TIPO: ${product.productType}\nTITULO: ${product.title}\nDESC: ${product.description}\nTAGS: ${product.tags.join(", ")}`;
+// Carga los productos al iniciar el servidor (Supabase -> Disco -> Descarga nueva de Shopify)
+async function loadIndexes() {
+    indexLoading = true;
+    try {
+        await loadProductIndex();
+    } finally {
+        indexLoading = false;
+    }
+    await loadFaqs().catch(() => { }); // Ya está en los logs; el chat sigue con las FAQs que hubiera
 }
 
-// Carga los productos al iniciar el servidor (Caché -> O descarga nueva)
-async function loadIndexes() {
-    // 1. Intentamos cargar de caché primero para arrancar rápido
-    if (fs.existsSync(INDEX_FILE)) {
-        console.log("📦 Cargando productos desde caché (arranque rápido)...");
-        try {
-            aiIndex = JSON.parse(fs.readFileSync(INDEX_FILE, "utf8"));
-        } catch (e) { 
-            console.error("⚠️ Caché corrupta, se ignorará.");
-            aiIndex = []; 
+async function loadProductIndex() {
+    // 1. Fuente principal: Supabase (sobrevive a los reinicios de Render)
+    const persisted = await loadIndexFromSupabase();
+    if (persisted.length > 0) {
+        setAiIndex(persisted);
+        console.log(`📦 Índice cargado desde Supabase (${aiIndex.length} productos).`);
+        await refreshVectorStore();
+    }
+
+    // 2. Respaldo: caché en disco. Si la usamos, sembramos Supabase con ella para el próximo arranque.
+    if (aiIndex.length === 0) {
+        const fromDisk = loadIndexFromDisk();
+        if (fromDisk.length > 0) {
+            setAiIndex(fromDisk);
+            console.log(`📦 Índice cargado desde disco (${aiIndex.length} productos). Subiéndolo a Supabase...`);
+            if (await saveIndexRows(aiIndex)) console.log("💾 Índice de disco copiado a Supabase.");
+            await refreshVectorStore();
         }
     }
 
-    // 2. Si no hay datos (o queremos refrescar), descargamos de Shopify
+    // 3. Si no hay datos en ningún sitio, descargamos de Shopify (sincronización completa)
     if (aiIndex.length === 0) {
         console.log("🤖 Indexando productos en Shopify (esto puede tardar)...");
         try {
-            const products = await getAllProducts();
-            
-            if (products.length > 0) {
-                // Limpiamos el índice anterior antes de llenar
-                const tempIndex = [];
-                for (const p of products) {
-                    // Vectorizamos cada producto para que la IA lo entienda
-                    const emb = await openai.embeddings.create({ model: "text-embedding-3-large", input: buildAIText(p) });
-                    tempIndex.push({ ...p, embedding: emb.data[0].embedding });
-                }
-                aiIndex = tempIndex; // Actualizamos la memoria
-                
-                try { 
-                    fs.writeFileSync(INDEX_FILE, JSON.stringify(aiIndex)); 
-                    console.log("💾 Índice guardado en disco.");
-                } catch (e) { console.error("⚠️ No se pudo guardar caché en disco (read-only system?)"); }
-            } else {
-                console.warn("⚠️ Advertencia: Shopify devolvió 0 productos.");
-            }
+            await syncCatalog({ full: true });
         } catch (error) {
             console.error("❌ ERROR CRÍTICO INDEXANDO:", error);
             // No hacemos throw para que el servidor no se caiga
         }
     }
     console.log(`✅ Productos listos en memoria: ${aiIndex.length}`);
+}
 
-    // Carga de FAQs
-    if (fs.existsSync(FAQ_FILE)) {
-        try {
-            const rawFaqs = JSON.parse(fs.readFileSync(FAQ_FILE, "utf8"));
-            faqIndex = [];
-            console.log("🤖 Indexando FAQs...");
-            for (const f of rawFaqs) {
-                const emb = await openai.embeddings.create({ model: "text-embedding-3-large", input: f.question });
-                faqIndex.push({ ...f, embedding: emb.data[0].embedding });
-            }
-            console.log(`✅ FAQs listas: ${faqIndex.length}`);
-        } catch(e) { console.error("Error cargando FAQs:", e); }
+// Carga y vectoriza las FAQs (también se puede relanzar desde /api/admin/faqs/reload).
+// BRAND_INFO entra como una FAQ más: así get_faq la encuentra cuando preguntan por la marca.
+const BRAND_FAQ = {
+    id: "marca",
+    question: "Sobre Izas Outdoor: quiénes somos, tecnologías y tejidos (Mount-Loft, AWPS, Dry, Softshell), dónde comprar, calidad e Izas Members",
+    answer: BRAND_INFO.trim()
+};
+
+async function loadFaqs() {
+    try {
+        const rawFaqs = fs.existsSync(FAQ_FILE) ? JSON.parse(fs.readFileSync(FAQ_FILE, "utf8")) : [];
+        const entries = [...rawFaqs, BRAND_FAQ];
+        console.log("🤖 Indexando FAQs...");
+        const vectors = await embedTexts(entries.map(f => f.question));
+        faqIndex = entries.map((f, i) => ({ ...f, embedding: vectors[i] })); // Sustitución atómica
+        console.log(`✅ FAQs listas: ${faqIndex.length}`);
+    } catch (e) {
+        console.error("Error cargando FAQs:", e);
+        throw e; // faqIndex se queda como estaba; quien recarga debe saber que ha fallado
     }
+    return faqIndex;
 }
 
-// 🧹 REFINAMIENTO: Traduce "quiero unos pantalones" a una query técnica
-async function refineQuery(userQuery, history) {
-    const response = await openai.chat.completions.create({
-        model: "gpt-4o",
-        messages: [
-            {
-                role: "system",
-                content: `Eres un experto en entender búsquedas de productos de eCommerce.
-                TU OBJETIVO: Generar la cadena de búsqueda perfecta para una base de datos vectorial.
-
-                REGLAS DE ORO:
-                1. Contexto: Mira el historial. Si el usuario dice "quiero esa", busca el nombre del producto anterior.
-                
-                2. 🕵️‍♂️ PRECISIÓN vs VARIEDAD:
-                   - Si el usuario especifica "V2", "V3", "V4": INCLÚYELO (ej: "Naluns M V2 guia tallas").
-                   - Si el usuario busca un nombre GENÉRICO (ej: "Naluns"):
-                     -> ¡NO inventes "original" ni "versión 1"! QUEREMOS QUE SALGAN TODAS.
-                     -> Busca SOLO el nombre principal (ej: "Naluns") para que la base de datos devuelva Naluns M, W, V2, V3...
-                `
-            },
-            ...history.slice(-4),
-            { role: "user", content: userQuery }
-        ],
-        temperature: 0
-    });
-    return response.choices[0].message.content;
+// 🧭 Búsqueda en el almacén vectorial. Si pgvector falla, búsqueda exacta en memoria.
+// allowedIds (Set, opcional) limita la búsqueda a los productos que pasan los filtros.
+async function searchVectors(vector, k, allowedIds = null) {
+    let hits;
+    try {
+        hits = await vectorStore.search(vector, k, allowedIds);
+    } catch (error) {
+        console.error(`❌ Error en búsqueda vectorial (${vectorStore.kind}), usando búsqueda exacta:`, error.message || error);
+        if (vectorStore.kind === "pgvector") recordDependencyError("supabase", error);
+        hits = aiIndex
+            .filter(p => !allowedIds || allowedIds.has(String(p.id)))
+            .map(p => ({ id: String(p.id), score: cosineSimilarity(vector, p.embedding) }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, k);
+    }
+    return hits
+        .map(hit => {
+            const product = aiIndexById.get(String(hit.id));
+            return product ? { ...product, score: hit.score } : null;
+        })
+        .filter(Boolean);
+}
+
+/* --------------------------------------------------------------------------
+   🎯 FUSIÓN HÍBRIDA (VECTORIAL + BM25) Y RE-RANKING
+   Para cada producto candidato (unión de ambas listas):
+
+     score = 1 / (K + rank_vec) + W_LEX / (K + rank_lex)      <- Reciprocal Rank Fusion
+           + W_TITLE * cobertura_título                         <- nombre de familia exacto
+           + ajuste_versión                                     <- V2, V3...
+
+   - rank_vec / rank_lex: posición (1, 2, 3...) en cada lista. Si el producto
+     no aparece en una lista, ese término vale 0.
+   - cobertura_título (0..1): parte de los términos "de título" de la query
+     (ponderados por rareza) que están en el título. Hace que "Naluns" ponga
+     primero a toda la familia Naluns aunque el embedding dude.
+   - ajuste_versión: si la query pide "v2", +VERSION_BOOST a los que la tienen
+     en el título y -VERSION_PENALTY al resto.
+   Usamos posiciones y no puntuaciones porque coseno y BM25 no están en la
+   misma escala.
+   -------------------------------------------------------------------------- */
+const RRF_K = 60;
+const W_LEX = 1;
+const W_TITLE = 0.03;
+const VERSION_BOOST = 0.04;
+const VERSION_PENALTY = 0.03;
+
+function fuseRankings(vectorHits, lexicalHits, lexicalQuery, optimizedQuery) {
+    const versionMatch = optimizedQuery.match(/\b(v\d+|ii|iii)\b/i);
+    const targetVersion = versionMatch ? versionMatch[0].toLowerCase() : null;
+
+    const fused = new Map(); // id -> { product, score }
+    const add = (id, contribution) => {
+        const product = aiIndexById.get(String(id));
+        if (!product) return;
+        const entry = fused.get(String(id)) || { product, score: 0 };
+        entry.score += contribution;
+        fused.set(String(id), entry);
+    };
+
+    vectorHits.forEach((p, i) => add(p.id, 1 / (RRF_K + i + 1)));
+    lexicalHits.forEach((hit, i) => add(hit.id, W_LEX / (RRF_K + i + 1)));
+
+    return [...fused.values()]
+        .map(({ product, score }) => {
+            score += W_TITLE * lexicalIndex.titleCoverage(lexicalQuery, product.id);
+
+            // Penalización/Boost por versión (V2, V3...)
+            if (targetVersion) {
+                const titleLower = product.title.toLowerCase();
+                score += titleLower.includes(targetVersion) ? VERSION_BOOST : -VERSION_PENALTY;
+            }
+            return { ...product, score };
+        })
+        .sort((a, b) => b.score - a.score);
 }
 
 // 🛡️ FORMATO DE STOCK SEGURO: Agrupa por color y oculta cantidades exactas
+// "Azul Marino / L, Azul Marino / XL" para las variantes que cumplen los filtros
+function describeMatchingVariants(product) {
+    const ids = new Set(product.matchingVariantIds);
+    const labels = (product.variants || [])
+        .filter(v => ids.has(String(v.id)))
+        .map(v => (v.selectedOptions || []).map(o => o.value).join(" / ") || v.title);
+    return labels.slice(0, 12).join(", ") || "—";
+}
+
 function formatStockForAI(variants) {
     if (!variants || variants.length === 0) return "Sin información de stock.";
 
@@ -549,7 +1085,6 @@ function formatStockForAI(variants) {
 
     variants.forEach(variant => {
         const qty = variant.inventoryQuantity;
-        const isAvailable = variant.availableForSale;
 
         let color = "Color Único";
         let size = "Talla Única";
@@ -564,10 +1099,10 @@ function formatStockForAI(variants) {
 
         if (!stockByColor[color]) stockByColor[color] = { sizes: [], available: false };
 
-        if (isAvailable && qty > 0) {
+        if (variantInStock(variant)) {
             stockByColor[color].available = true;
-            // FOMO: Si hay 2 o menos, añadimos etiqueta de urgencia
-            const sizeLabel = qty <= 2 ? `${size} (¡últimas!)` : size;
+            // FOMO: Si hay 2 o menos, añadimos etiqueta de urgencia (sin cantidad o en negativo no se sabe)
+            const sizeLabel = qty > 0 && qty <= 2 ? `${size} (¡últimas!)` : size;
             stockByColor[color].sizes.push(sizeLabel);
         }
     });
@@ -586,414 +1121,1138 @@ function formatStockForAI(variants) {
 
 
 /* ==========================================================================
-   🚪 ENDPOINT PRINCIPAL (/api/ai/search)
-   ========================================================================== */
-/* ==========================================================================
-   🚪 ENDPOINT PRINCIPAL (/api/ai/search)
+   🚦 LÍMITES DE USO (ANTI-ABUSO Y PRESUPUESTO)
+   ==========================================================================
+   Cada mensaje cuesta una o varias completions de gpt-4o (una por ronda de
+   herramientas) y algún embedding. Limitamos por
+   sesión y por IP (la IP admite más porque varias personas pueden compartirla)
+   y cortamos el chat si se agota el presupuesto diario global.
    ========================================================================== */
-app.post("/api/ai/search", async (req, res) => {
-    // 🔥🔥 AÑADIDO: 'context_handle' para saber dónde está el usuario
-    const { q, history, visible_ids, session_id, context_handle, member_context, customer_email, login_url } = req.body;
-    if (!q) return res.status(400).json({ error: "Falta query" });
-
-    // 🎖️ IZAS MEMBERS: datos del socio si el cliente tiene sesión iniciada en Shopify.
-    // Vienen ya resueltos por el frontend desde /apps/izas-members/perfil (App Proxy firmado),
-    // así que aquí solo los formateamos para el prompt, sin volver a consultar nada.
-    const TIER_BENEFITS = {
-        BRONCE: "Envío gratis desde 59,99€. Regalo de cumpleaños: 100 puntos.",
-        PLATA: "Envío gratis desde 49,99€. +10% de puntos en compras de 200€ o más. Acceso anticipado a colecciones. Regalo de cumpleaños: 150 puntos.",
-        ORO: "Envío siempre gratis. +20% de puntos en compras de 200€ o más. Acceso anticipado a colecciones. Regalo de cumpleaños: 200 puntos + cupón 10% (7 días)."
-    };
-    const loginLink = login_url || "https://www.izas-outdoor.com/account/login";
+const sessionLimiter = createRateLimiter({
+    burst: Number(process.env.RATE_LIMIT_SESSION_BURST) || 8,
+    perMinute: Number(process.env.RATE_LIMIT_SESSION_PER_MIN) || 4
+});
+const ipLimiter = createRateLimiter({
+    burst: Number(process.env.RATE_LIMIT_IP_BURST) || 20,
+    perMinute: Number(process.env.RATE_LIMIT_IP_PER_MIN) || 12
+});
+const dailyBudget = createDailyBudget({
+    maxTokens: Number(process.env.DAILY_TOKEN_BUDGET) || 3000000,
+    maxCostUsd: Number(process.env.DAILY_COST_BUDGET_USD) || 30
+});
 
-    // 🔒 El enlace de login SOLO se incluye en el prompt cuando realmente no hay sesión/socio.
-    // Así el modelo no tiene "a mano" el enlace para ofrecerlo cuando ya tiene datos reales.
-    let memberInfo = `N/A (el cliente no tiene sesión iniciada o no es socio Izas Members). Enlace de inicio de sesión a ofrecer: ${loginLink}`;
-    if (member_context && (member_context.nivel || member_context.puntos != null)) {
-        const nivelKey = (member_context.nivel || "BRONCE").toUpperCase();
-        memberInfo = `Nivel: ${nivelKey} | Puntos disponibles: ${member_context.puntos ?? "N/A"} | Equivalente en descuento: ${member_context.saldoDisponible ?? "N/A"}€ | Ventajas de su nivel: ${TIER_BENEFITS[nivelKey] || "N/A"}`;
+// Respuestas amables (en el idioma del navegador) cuando se corta el chat
+const LIMIT_MESSAGES = {
+    es: {
+        rate: "Vas muy rápido 😅 Dame unos segundos para ponerme al día y vuelve a escribirme.",
+        budget: "Ahora mismo estoy recibiendo muchísimas consultas y no puedo responder. Escríbenos a info@izas-outdoor.com o llama al 976502040 y te atenderemos encantados."
+    },
+    en: {
+        rate: "You're going a bit fast 😅 Give me a few seconds to catch up and write again.",
+        budget: "I'm receiving a lot of questions right now and can't answer. Please write to info@izas-outdoor.com or call +34 976502040 and we'll be happy to help."
+    },
+    fr: {
+        rate: "Vous allez un peu vite 😅 Laissez-moi quelques secondes et réécrivez-moi.",
+        budget: "Je reçois énormément de questions en ce moment et je ne peux pas répondre. Écrivez-nous à info@izas-outdoor.com ou appelez le +34 976502040."
+    },
+    pt: {
+        rate: "Está a ir muito depressa 😅 Dê-me uns segundos e volte a escrever.",
+        budget: "Neste momento estou a receber muitíssimas perguntas e não consigo responder. Escreva-nos para info@izas-outdoor.com ou ligue para +34 976502040."
     }
+};
 
-    try {
-        // ---------------------------------------------------------
-        // 1. 🔍 DETECCIÓN Y SEGURIDAD DE PEDIDOS
-        // ---------------------------------------------------------
-        let emailMatch = q.match(/[\w.-]+@[\w.-]+\.\w+/); // Detecta emails
-        let orderMatch = q.match(/#?(\d{4,})/);            // Detecta números largos
-
-        // Si falta algo, miramos en el historial del chat
-        if ((!emailMatch || !orderMatch) && history) {
-            const reversedHistory = [...history].reverse();
-            const historyText = reversedHistory.map(h => h.content).join(" ");
-            if (!emailMatch) emailMatch = historyText.match(/[\w.-]+@[\w.-]+\.\w+/);
-            if (!orderMatch) orderMatch = historyText.match(/#?(\d{4,})/);
-        }
-
-        if (emailMatch && emailMatch[0].includes("izas-outdoor.com")) {
-            emailMatch = null;
-        }
-
-        // 🔐 Si el cliente tiene sesión iniciada en Shopify, usamos SIEMPRE su email verificado
-        // (más seguro que confiar en uno que escriba el usuario, y evita tener que pedírselo).
-        if (customer_email) {
-            emailMatch = [customer_email];
-        }
-
-        let orderData = null;
-        let securityWarning = null; // 🚦 SEMÁFORO DE SEGURIDAD
-
-        if (orderMatch && emailMatch) {
-            // CASO A: TENEMOS LOS DOS DATOS ✅ -> CONSULTAMOS
-            const orderId = orderMatch[1];
-            const email = emailMatch[0];
-            const result = await getOrderStatus(orderId, email);
-            if (result.found) {
-                orderData = `[DATOS_ENCONTRADOS]
-                ID: ${result.data.id}
-                ESTADO_RAW: ${result.data.status}
-                TRACKING: ${result.data.trackingNumber}
-                LINK: ${result.data.trackingUrl || "No disponible"}
-                CARRIER: ${result.data.carrier}
-                ITEMS: ${result.data.items}
-                PRECIO: ${result.data.price}`;
-            } else if (result.reason === "email_mismatch") {
-                orderData = "❌ ERROR SEGURIDAD: El email proporcionado no coincide.";
-            } else {
-                orderData = "❌ ERROR: No existe ningún pedido con ese número.";
-            }
-        } else if (orderMatch && !emailMatch) {
-            securityWarning = "FALTA_EMAIL";
-        } else if (!orderMatch && emailMatch) {
-            securityWarning = "FALTA_PEDIDO_ID";
-        }
+function limitMessage(req, kind) {
+    const lang = req.acceptsLanguages(...Object.keys(LIMIT_MESSAGES)) || "es";
+    return LIMIT_MESSAGES[lang][kind];
+}
 
-        // ---------------------------------------------------------
-        // 2. 🧠 BÚSQUEDA SEMÁNTICA (PRODUCTOS)
-        // ---------------------------------------------------------
-        const normalizedQuery = normalizeQuery(q); // Aplicamos normalización (Tallas XXL->2XL)
-        const optimizedQuery = await refineQuery(normalizedQuery, history || []);
-        
-        if (aiIndex.length === 0) await loadIndexes();
+function chatRateLimit(req, res, next) {
+    const sessionKey = req.body?.session_id ? `s:${req.body.session_id}` : null;
 
-        // 🔥🔥🔥 CONTEXTO WEB: Detectamos si hay un producto en pantalla 🔥🔥🔥
-        let productOnScreen = null;
-        if (context_handle) {
-            productOnScreen = aiIndex.find(p => p.handle === context_handle);
-        }
+    let verdict = ipLimiter.check(`ip:${req.ip}`);
+    if (verdict.allowed && sessionKey) verdict = sessionLimiter.check(sessionKey);
 
-        // Filtramos productos que el usuario ya tiene en pantalla (chat anterior)
-        let contextProducts = [];
-        if (visible_ids && visible_ids.length > 0) {
-            contextProducts = aiIndex.filter(p => visible_ids.map(String).includes(String(p.id)));
-        }
+    if (!verdict.allowed) {
+        console.warn(`🚦 Límite de mensajes alcanzado (ip ${req.ip}, sesión ${req.body?.session_id || "-"})`);
+        res.set("Retry-After", String(Math.ceil(verdict.retryAfterMs / 1000)));
+        return res.status(429).json({ error: "Demasiadas peticiones", text: limitMessage(req, "rate"), products: [], rateLimited: true });
+    }
+    next();
+}
 
-        // Buscamos en el vector DB
-        const embResponse = await openai.embeddings.create({ model: "text-embedding-3-large", input: optimizedQuery });
-        const vector = embResponse.data[0].embedding;
+// Va después de agentTakeover: con un agente al mando no se gasta OpenAI y el chat sigue abierto
+function dailyBudgetGuard(req, res, next) {
+    if (dailyBudget.exceeded()) {
+        console.warn("💸 Presupuesto diario de OpenAI agotado:", dailyBudget.snapshot());
+        return res.status(429).json({ error: "Presupuesto diario agotado", text: limitMessage(req, "budget"), products: [], rateLimited: true });
+    }
+    next();
+}
 
-        // Scoring y Lógica de Versiones
-        const versionMatch = optimizedQuery.match(/\b(v\d+|ii|iii)\b/i);
-        const targetVersion = versionMatch ? versionMatch[0].toLowerCase() : null;
 
-        const searchResults = aiIndex
-            .map(p => {
-                let score = cosineSimilarity(vector, p.embedding);
-                const titleLower = p.title.toLowerCase();
-                const queryLower = optimizedQuery.toLowerCase().trim();
+/* ==========================================================================
+   🚪 ENDPOINT PRINCIPAL (/api/ai/search)
+   ==========================================================================
+   El turno se divide en tres fases que comparten la versión JSON y la de
+   streaming (/api/ai/search/stream):
+   1. prepareChatTurn(): estado de la sesión, socio, intención (intentRouter.js)
+      y un prompt corto.
+   2. answerChatTurn(): según la intención:
+      - saludo / gracias / humano: respuesta fija, sin OpenAI.
+      - faq: FAQs más parecidas + gpt-4o-mini (si ninguna encaja, bucle completo).
+      - pedido / socio: bucle de herramientas solo con las suyas.
+      - producto: bucle de herramientas completo (toolLoop.js). El modelo pide
+        solo lo que necesita: productos, stock, pedidos, FAQs o su perfil.
+   3. finishChatTurn(): sanitiza la respuesta, monta las tarjetas y guarda.
+   ========================================================================== */
+const ANSWER_MODEL = "gpt-4o";
+const MAX_TOOL_ROUNDS = Number(process.env.TOOL_MAX_ROUNDS) || 4; // Rondas modelo -> herramientas por mensaje
+const MAX_TOOL_CALLS = Number(process.env.TOOL_MAX_CALLS) || 8;   // Llamadas a herramientas por mensaje
+const SEARCH_RESULTS = 8;
+const FAQ_RESULTS = 3;
+const FAQ_MODEL = "gpt-4o-mini"; // Respuestas de solo-FAQs: basta un modelo pequeño
+const FAQ_MIN_SCORE = 0.45;      // Similitud mínima para contestar solo con FAQs
+
+// Herramientas que se ofrecen según la intención (el resto, todas)
+const INTENT_TOOLS = {
+    order: ["get_order_status", "get_faq"],
+    member: ["get_member_profile", "get_faq"]
+};
+
+const TIER_BENEFITS = {
+    BRONCE: "Envío gratis desde 59,99€. Regalo de cumpleaños: 100 puntos.",
+    PLATA: "Envío gratis desde 49,99€. +10% de puntos en compras de 200€ o más. Acceso anticipado a colecciones. Regalo de cumpleaños: 150 puntos.",
+    ORO: "Envío siempre gratis. +20% de puntos en compras de 200€ o más. Acceso anticipado a colecciones. Regalo de cumpleaños: 200 puntos + cupón 10% (7 días)."
+};
+
+// 🎖️ Socio y email SOLO desde el token firmado (member_token). Lo que venga suelto en el
+// body (member_context, customer_email) se ignora: sin token válido, cliente anónimo.
+function verifiedMember(body) {
+    const anonymous = { member_context: null, customer_email: null };
+    if (!body?.member_token) return anonymous;
+
+    const result = verifyMemberToken(body.member_token, { secret: MEMBERS_TOKEN_SECRET, issuer: MEMBERS_TOKEN_ISSUER });
+    if (!result.ok) {
+        console.warn(`🎖️ Token de socio rechazado (${result.reason}), sesión ${body.session_id || "-"}`);
+        return anonymous;
+    }
+    return memberFromClaims(result.claims);
+}
 
-                // Boost por coincidencia de palabras clave
-                const coreKeywords = queryLower.split(" ").filter(w => w.length > 3);
-                const matchesCore = coreKeywords.some(kw => titleLower.includes(kw));
-                if (matchesCore) score += 0.3;
+// 🔒 El enlace de login SOLO aparece cuando realmente no hay sesión/socio.
+// Así el modelo no tiene "a mano" el enlace para ofrecerlo cuando ya tiene datos reales.
+function describeMember(member_context, loginLink) {
+    if (member_context && (member_context.nivel || member_context.puntos != null)) {
+        const nivelKey = (member_context.nivel || "BRONCE").toUpperCase();
+        return `Nivel: ${nivelKey} | Puntos disponibles: ${member_context.puntos ?? "N/A"} | Equivalente en descuento: ${member_context.saldoDisponible ?? "N/A"}€ | Ventajas de su nivel: ${TIER_BENEFITS[nivelKey] || "N/A"}`;
+    }
+    return `N/A (el cliente no tiene sesión iniciada o no es socio Izas Members). Enlace de inicio de sesión a ofrecer: ${loginLink}`;
+}
 
-                // Penalización/Boost por versión (V2, V3...)
-                if (targetVersion) {
-                    if (titleLower.includes(targetVersion)) {
-                        score += 0.4;
-                    } else {
-                        score -= 0.3;
-                    }
-                }
-                return { ...p, score };
-            })
-            .sort((a, b) => b.score - a.score)
-            .slice(0, 8); // Top 8 candidatos
+// 🛒 Carrito que manda el widget (leído de /cart.js). Viene del navegador: solo es
+// contexto para sugerir, así que se recorta y se normaliza sin fiarse de nada.
+const CART_MAX_ITEMS = 20;
+function readCart(cart) {
+    if (!cart || !Array.isArray(cart.items)) return null;
+    const items = cart.items.slice(0, CART_MAX_ITEMS).map(item => ({
+        variant_id: String(item?.variant_id || "").replace(/\D/g, ""),
+        product_id: String(item?.product_id || "").replace(/\D/g, ""),
+        title: String(item?.title || "").slice(0, 120),
+        variant_title: String(item?.variant_title || "").slice(0, 60),
+        quantity: Math.max(1, Math.min(99, Number(item?.quantity) || 1)),
+        price: Number(item?.price) || null
+    })).filter(item => item.variant_id && item.title);
+    const total = Number(cart.total);
+    return { items, total: Number.isFinite(total) ? total : null };
+}
 
-        // Buscamos FAQs similares
-        const faqResults = faqIndex
-            .map(f => ({ ...f, score: cosineSimilarity(vector, f.embedding) }))
-            .sort((a, b) => b.score - a.score)
-            .slice(0, 2);
+function describeCart(cart) {
+    if (!cart) return "Desconocido";
+    if (cart.items.length === 0) return "Vacío";
+    const lines = cart.items.map(item =>
+        `${item.quantity}x ${item.title}${item.variant_title ? ` (${item.variant_title})` : ""}${item.price != null ? ` - ${item.price} €` : ""} [ID producto ${item.product_id}]`);
+    return `${lines.join(" | ")}${cart.total != null ? ` | TOTAL: ${cart.total} €` : ""}`;
+}
 
-        // Unimos los resultados
-        const combinedCandidates = new Map();
+// Ficha de un producto tal y como la lee la IA (stock ya fresco de Shopify)
+function formatProductForAI(p, { tag = "", withDescription = false } = {}) {
+    const colorOption = p.options ? p.options.find(o => o.name.match(/color|cor/i)) : null;
+    const officialColors = colorOption ? colorOption.values.join(", ") : "Único";
+    const stockText = formatStockForAI(p.variants);
+    const matchingText = p.matchingVariantIds ? `\n        - Cumple los filtros en: ${describeMatchingVariants(p)}` : "";
+    const descriptionText = withDescription ? `\n        - Descripción: ${cleanText(p.body_html || p.description)}` : "";
+    const staleText = p.stockStale
+        ? `\n        - ⚠️ Stock SIN CONFIRMAR (Shopify no responde; dato ${p.stockCheckedAt ? `de las ${new Date(p.stockCheckedAt).toLocaleTimeString("es-ES", { timeZone: "Europe/Madrid", hour: "2-digit", minute: "2-digit" })}` : "del catálogo"}). Si preguntan por disponibilidad, dilo y que lo confirmen en la ficha.`
+        : "";
+
+    return `PRODUCTO${tag}:
+        - ID: ${p.id}
+        - Título: ${p.title}
+        - Precio: ${p.price} €
+        - Colores: ${officialColors}
+        - Stock: ${stockText}${staleText}${matchingText}${descriptionText}`;
+}
 
-        // 1. PRIORIDAD TOTAL: Producto que el usuario está viendo
-        if (productOnScreen) {
-            combinedCandidates.set(String(productOnScreen.id), productOnScreen);
+/* --------------------------------------------------------------------------
+   🛠️ HERRAMIENTAS DEL CHAT
+   Cada herramienta envuelve funciones que ya existían (búsqueda híbrida,
+   stock en vivo, pedidos, FAQs, socio) y devuelve texto para el modelo.
+   Los productos que devuelven se apuntan en turn.candidates: solo esos
+   pueden acabar como tarjetas en la respuesta.
+   -------------------------------------------------------------------------- */
+const CHAT_TOOLS = [
+    {
+        type: "function",
+        function: {
+            name: "search_products",
+            description: "Busca productos del catálogo de Izas (búsqueda semántica + nombres exactos) y devuelve los mejores con stock en tiempo real. Úsala cuando el cliente busca o compara productos.",
+            parameters: {
+                type: "object",
+                properties: {
+                    query: {
+                        type: "string",
+                        description: "Búsqueda en español. Incluye talla, color, precio máximo o género si el cliente los pide. Si dice 'esa' o '¿y en azul?', pon el nombre del producto del que se habla. Si especifica versión (V2, V3) inclúyela; si da un nombre genérico (ej: 'Naluns') busca SOLO ese nombre, sin inventar versiones, para que salgan todos los modelos."
+                    }
+                },
+                required: ["query"]
+            }
+        }
+    },
+    {
+        type: "function",
+        function: {
+            name: "get_product_stock",
+            description: "Stock actual por color y talla, precio y descripción de UN producto concreto (por ejemplo, el que el cliente está viendo o uno ya mostrado).",
+            parameters: {
+                type: "object",
+                properties: {
+                    product_id: { type: "string", description: "ID del producto." },
+                    handle: { type: "string", description: "Handle del producto, si no tienes el ID." }
+                }
+            }
+        }
+    },
+    {
+        type: "function",
+        function: {
+            name: "recommend_size",
+            description: "Recomienda la talla de UN producto según la guía de tallas y las medidas del cliente, y comprueba si esa talla tiene stock. Pasa solo las medidas que haya dado el cliente (se recuerdan para los siguientes productos).",
+            parameters: {
+                type: "object",
+                properties: {
+                    product_id: { type: "string", description: "ID del producto. Si no lo pasas, se usa el producto en pantalla o en foco." },
+                    handle: { type: "string", description: "Handle del producto, si no tienes el ID." },
+                    height_cm: { type: "number", description: "Altura en cm (1,75 m = 175)." },
+                    weight_kg: { type: "number", description: "Peso en kg." },
+                    chest_cm: { type: "number", description: "Contorno de pecho en cm." },
+                    waist_cm: { type: "number", description: "Contorno de cintura en cm." },
+                    hip_cm: { type: "number", description: "Contorno de cadera en cm." },
+                    foot_cm: { type: "number", description: "Largo del pie en cm (NO el número de calzado)." }
+                }
+            }
+        }
+    },
+    {
+        type: "function",
+        function: {
+            name: "create_restock_alert",
+            description: "Apunta al cliente para recibir un email cuando una talla/color AGOTADO vuelva a tener stock. Úsala solo si el cliente acepta el aviso.",
+            parameters: {
+                type: "object",
+                properties: {
+                    product_id: { type: "string", description: "ID del producto. Si no lo pasas, se usa el producto en pantalla o en foco." },
+                    size: { type: "string", description: "Talla que quiere (ej: M, XL, 42)." },
+                    color: { type: "string", description: "Color que quiere." },
+                    email: { type: "string", description: "Email para el aviso, solo si lo ha escrito el cliente." }
+                }
+            }
+        }
+    },
+    {
+        type: "function",
+        function: {
+            name: "get_order_status",
+            description: "Consulta un pedido del cliente (estado, envíos, seguimiento, devoluciones, reembolsos) con todas las comprobaciones de seguridad. Sin número de pedido y con sesión iniciada, devuelve sus últimos pedidos. Llámala también cuando el cliente escriba un código de verificación.",
+            parameters: {
+                type: "object",
+                properties: {
+                    order_number: { type: "string", description: "Número de pedido tal y como lo dio el cliente (ej: 12345)." },
+                    email: { type: "string", description: "Email de la compra, solo si lo ha escrito el cliente." },
+                    verification_code: { type: "string", description: "Código de 6 cifras que le enviamos por email, si lo ha escrito." }
+                }
+            }
+        }
+    },
+    {
+        type: "function",
+        function: {
+            name: "get_faq",
+            description: "Preguntas frecuentes e información de la marca: envíos, plazos, devoluciones, pagos, tiendas, horarios, tecnologías y tejidos, funcionamiento de Izas Members...",
+            parameters: {
+                type: "object",
+                properties: {
+                    question: { type: "string", description: "La duda del cliente, reformulada en español." }
+                },
+                required: ["question"]
+            }
         }
+    },
+    {
+        type: "function",
+        function: {
+            name: "get_member_profile",
+            description: "Nivel, puntos, saldo y ventajas Izas Members del cliente ACTUAL (o el enlace para iniciar sesión si no la tiene).",
+            parameters: { type: "object", properties: {} }
+        }
+    }
+];
+
+// 🧠 search_products: búsqueda híbrida con filtros + stock en vivo
+async function searchProductsForTurn(turn, { query }) {
+    if (aiIndex.length === 0) await loadIndexes();
+    const rawQuery = String(query || turn.q);
+    const optimizedQuery = normalizeQuery(rawQuery); // Tallas XXL->2XL, sinónimos...
+
+    // Talla y color elegidos: se recuerdan para los siguientes turnos
+    const filters = extractFilters(rawQuery);
+    if (filters.size) turn.state.size = filters.size;
+    if (filters.color) turn.state.color = filters.color;
+
+    // 🎛️ Filtros estructurados (talla, precio, color...): se aplican ANTES de ordenar
+    let filterResult = null;
+    let allowedIds = null;
+    if (Object.keys(filters).length > 0) {
+        filterResult = applyFilters(aiIndex, filters);
+        if (filterResult.applied.length > 0) {
+            allowedIds = new Set(filterResult.products.map(p => String(p.id)));
+        }
+        console.log(`🎛️ Filtros: ${describeFilters(filters, filterResult.applied) || "ninguno aplicable"}${filterResult.relaxed.length ? ` | Relajados: ${describeFilters(filters, filterResult.relaxed)}` : ""} (${allowedIds ? allowedIds.size : aiIndex.length} productos)`);
+    }
+    const matchingVariants = new Map((filterResult?.products || [])
+        .filter(p => p.matchingVariantIds)
+        .map(p => [String(p.id), p.matchingVariantIds]));
+
+    // Búsqueda híbrida: vectorial (significado) + BM25 (nombres exactos), fusionadas
+    const [vector] = await embedTexts([optimizedQuery]);
+    const lexicalQuery = `${turn.q} ${optimizedQuery}`;
+    const vectorHits = await searchVectors(vector, VECTOR_CANDIDATES, allowedIds);
+    const lexicalHits = lexicalIndex.search(lexicalQuery, LEXICAL_CANDIDATES, allowedIds);
+    const searchResults = fuseRankings(vectorHits, lexicalHits, lexicalQuery, optimizedQuery)
+        .slice(0, SEARCH_RESULTS)
+        .map(p => matchingVariants.has(String(p.id)) ? { ...p, matchingVariantIds: matchingVariants.get(String(p.id)) } : p);
+
+    // 🔥 LIVE STOCK CHECK: Actualizamos datos con Shopify en TIEMPO REAL
+    const products = await getLiveStockForProducts(searchResults);
+    products.forEach(p => turn.candidates.set(String(p.id), p));
+
+    // Línea de filtros: lo aplicado y lo que no se pudo cumplir
+    let filtersInfo = "Ninguno";
+    if (filterResult) {
+        const parts = [];
+        if (filterResult.applied.length) parts.push(`Aplicados: ${describeFilters(filters, filterResult.applied)} (los productos de abajo ya los cumplen)`);
+        if (filterResult.relaxed.length) parts.push(`SIN RESULTADOS con: ${describeFilters(filters, filterResult.relaxed)} (díselo al cliente y ofrece lo más parecido)`);
+        filtersInfo = parts.join(". ");
+    }
 
-        // 2. Productos contexto chat
-        contextProducts.forEach(p => combinedCandidates.set(String(p.id), p));
-        
-        // 3. Resultados de búsqueda
-        searchResults.forEach(p => {
-            if (combinedCandidates.size < 10) combinedCandidates.set(String(p.id), p);
-        });
-        
-        let finalCandidatesList = Array.from(combinedCandidates.values());
-
-        // 🔥🔥🔥 LIVE STOCK CHECK: Actualizamos datos con Shopify en TIEMPO REAL 🔥🔥🔥
-        finalCandidatesList = await getLiveStockForProducts(finalCandidatesList);
-
-        // Generamos el texto que leerá la IA
-        const productsContext = finalCandidatesList.map(p => {
-            const colorOption = p.options ? p.options.find(o => o.name.match(/color|cor/i)) : null;
-            const officialColors = colorOption ? colorOption.values.join(", ") : "Único";
-            const cleanDescription = cleanText(p.body_html || p.description);
-            const stockText = formatStockForAI(p.variants); // Generado con datos frescos
-
-            // ETIQUETA VISUAL PARA LA IA
-            let tag = "";
-            if (productOnScreen && String(p.id) === String(productOnScreen.id)) tag = " (🔥 USUARIO VIENDO AHORA)";
-            else if (visible_ids && visible_ids.map(String).includes(String(p.id))) tag = " (EN PANTALLA)";
-
-            return `PRODUCTO${tag}:
-            - ID: ${p.id}
-            - Título: ${p.title}
-            - Precio: ${p.price} €
-            - Colores: ${officialColors}
-            - Stock: ${stockText}`;
-        }).join("\n\n");
+    if (products.length === 0) return `FILTROS: ${filtersInfo}\nNo hay productos que encajen con esa búsqueda.`;
+    return `FILTROS: ${filtersInfo}\n\n${products.map(p => formatProductForAI(p)).join("\n\n")}`;
+}
 
-        // ---------------------------------------------------------
-        // 3. 🗣️ GENERACIÓN DE RESPUESTA (OPENAI)
-        // ---------------------------------------------------------
-        const completion = await openai.chat.completions.create({
-            model: "gpt-4o",
-            response_format: { type: "json_object" },
-            temperature: 0.1,
-            messages: [
-                {
-                    role: "system",
-                    content: `Eres el asistente virtual oficial de Izas Outdoor. Tu tono es cercano, profesional y aventurero.
-
-                    🌍 CONTROL DE IDIOMA (PRIORIDAD MÁXIMA):
-                    1. DETECTA AUTOMÁTICAMENTE el idioma en el que escribe el usuario.
-                    2. RESPONDE SIEMPRE en ese mismo idioma.
-                    3. Si la información de los productos (título, descripción, stock) que te doy abajo está en español, TRADÚCELA al idioma del usuario en tu respuesta final.
-
-                    🔥 CONTEXTO WEB (IMPORTANTE):
-                    - Si ves un producto marcado con "(🔥 USUARIO VIENDO AHORA)", significa que el cliente está en esa página web.
-                    - Si pregunta "qué precio tiene", "hay talla", "cómo talla" o "tabla de medidas" SIN DECIR EL NOMBRE, SE REFIERE A ESE PRODUCTO.
-                    - Priorízalo en tu respuesta.
-                    - ⚠️ OBLIGATORIO: Si el cliente está viendo un producto, DEBES INCLUIRLO SIEMPRE en el array "products" de tu respuesta JSON, incluso si solo estás dando información de tallas o envíos.
-                    - El panel lateral depende de que tú envíes ese producto en el JSON. No falles.
-
-                    ⛔ REGLAS DE SEGURIDAD (IMPORTANTE):
-                    1. COMPETENCIA Y CANALES: Decathlon, Amazon... son partners. No mientas. Recomienda comprar en web oficial.
-                    2. CONOCIMIENTO: Usa "PRODUCTOS DISPONIBLES". Si no sabes, dilo.
-
-                    3. GESTIÓN DE STOCK Y CONTEXTO VISUAL (¡MUY IMPORTANTE!):
-                        - CRUCIAL: LEE EL CAMPO 'Stock:' DE CADA PRODUCTO.
-                        - Si dice "Tallas disponibles (S, M, L)", ENTONCES SÍ HAY STOCK. No inventes que está agotado.
-                        - Si un color tiene tallas y otro no, ESPECIFÍCALO CLARAMENTE.
-                        - Ejemplo correcto: "El modelo Konka en Azul tiene S y M. En Rojo está agotado."
-                    
-                    4. 👨‍👩‍👧‍👦 GESTIÓN DE FAMILIAS (EL "MODO CARRUSEL"):
-                        - ACTIVACIÓN: Si el usuario busca un nombre genérico (ej: "Anger", "Naluns") y ves varios resultados distintos.
-                        - ACCIÓN:
-                          1. JSON "reply": "He encontrado varias opciones para [Nombre]. Por favor, selecciona abajo el modelo exacto."
-                          2. ⚠️ JSON "products": [ID1, ID2, ID3...] <-- ¡OBLIGATORIO LLENARLO CON TODO LO ENCONTRADO!
-                        - PROHIBIDO: No des enlaces de tallas ni precios específicos en el texto si estás en este modo. Obliga al usuario a clicar en la tarjeta.
-
-                    5. 🚨 DERIVACIÓN A HUMANO (PRIORIDAD MÁXIMA):
-                        - Si piden "agente", "humano", "persona": NO INTENTES AYUDAR.
-                        - RESPUESTA OBLIGATORIA: "¡Claro! Escríbenos a info@izas-outdoor.com o llama al 976502040 dentro del horario laboral."
-                        - ETIQUETA: "DERIVACION_HUMANA"
-
-                    6. 🕵️‍♂️ BÚSQUEDA CRUZADA DE TALLAS (¡CRÍTICO!):
-                        - Si el usuario pregunta "¿Hay talla XXL de la Konka?":
-                        - 🛑 NO mires solo el primer producto y digas "No".
-                        - ✅ REVISA TODOS los productos listados abajo.
-                        - Si el producto 1 no tiene, pero el producto 2 sí, responde: "Sí, la tengo disponible en talla XXL en color [Color del Producto 2]".
-
-                    7. 🎖️ PUNTOS, NIVEL Y VENTAJAS DE IZAS MEMBERS (CLIENTE ACTUAL):
-                        - Si el usuario pregunta por SUS puntos, nivel, saldo o "qué ventajas/beneficios tengo", usa EXCLUSIVAMENTE el bloque "DATOS SOCIO IZAS MEMBERS" de abajo (incluye ya las ventajas de su nivel concreto). No inventes ni calcules cifras, y no menciones niveles que no sean el suyo.
-                        - Si ese bloque empieza por "N/A": el cliente no tiene sesión iniciada o no es socio. Explica brevemente que necesita iniciar sesión, e incluye el enlace que viene ahí mismo en formato de link: [Iniciar sesión](enlace). No reveles el motivo técnico del N/A.
-                        - Si el bloque SÍ tiene Nivel/Puntos reales, NUNCA sugieras iniciar sesión ni canjees dudas sobre si la sesión está iniciada: ya lo está, responde directamente con sus datos.
-                        - Para dudas generales sobre cómo funciona el programa (cómo ganar puntos, canjear, requisitos de cada nivel, etc.) usa las FAQs, no este bloque.
-
-                    8. 📦 CONSULTA DE PEDIDOS:
-                        - SÍ PUEDES consultar pedidos concretos: nunca digas que "no tienes acceso" a los pedidos.
-                        - Si el usuario pregunta por sus pedidos en general (sin dar número) y "DATOS PEDIDO LIVE" es "N/A", pídele el número de pedido para buscarlo.
-                        - Si "ALERTA SEGURIDAD" es "FALTA_EMAIL", pide el email de la compra. Si es "FALTA_PEDIDO_ID", pide el número de pedido. Si no hay alerta y falta el número, simplemente pídelo.
-                        - Solo si tras pedir el número de pedido el cliente no puede dártelo o el sistema no lo encuentra, deriva a info@izas-outdoor.com.
-
-                    --- DATOS ---
-                    ALERTA SEGURIDAD: ${securityWarning || "Ninguna"}
-                    DATOS PEDIDO LIVE: ${orderData || "N/A"}
-                    DATOS SOCIO IZAS MEMBERS: ${memberInfo}
-                    DATOS DE MARCA: ${BRAND_INFO}
-                    FAQs: ${faqResults.map(f => `P:${f.question} R:${f.answer}`).join("\n")}
-                    PRODUCTOS DISPONIBLES: ${productsContext}
-
-                    Responde JSON: { "reply": "...", "products": [...], "category": "ETIQUETA" }
-                    `
-                },
-                ...history.slice(-2).map(m => ({ role: m.role, content: m.content })),
-                // 🔥 AVISAMOS AL PROMPT DEL CONTEXTO
-                { role: "user", content: `Usuario busca: "${q}" (Interpretado como: "${normalizedQuery}") ${productOnScreen ? "[Contexto: Usuario viendo " + productOnScreen.title + "]" : ""}` }
-            ]
-        });
+// 📦 get_product_stock: un producto concreto con stock fresco y descripción
+async function getProductStockForTurn(turn, { product_id, handle }) {
+    if (aiIndex.length === 0) await loadIndexes();
+    const product = (product_id && aiIndexById.get(String(product_id)))
+        || (handle && aiIndex.find(p => p.handle === handle));
+    if (!product) return "ERROR: No encuentro ese producto en el catálogo. Usa search_products.";
+
+    const [fresh] = await getLiveStockForProducts([product]);
+    // Si ya venía de una búsqueda con filtros, conservamos las variantes que los cumplen
+    const previous = turn.candidates.get(String(fresh.id));
+    const live = previous?.matchingVariantIds ? { ...fresh, matchingVariantIds: previous.matchingVariantIds } : fresh;
+    turn.candidates.set(String(live.id), live);
+
+    const tag = turn.productOnScreen && String(live.id) === String(turn.productOnScreen.id) ? " (🔥 USUARIO VIENDO AHORA)" : "";
+    return formatProductForAI(live, { tag, withDescription: true });
+}
 
-        // ---------------------------------------------------------
-        // 4. 🖼️ PROCESADO FINAL BLINDADO (SANITIZACIÓN)
-        // ---------------------------------------------------------
-        const rawContent = completion.choices[0].message.content;
-        console.log("RAW OPENAI RESPONSE:", rawContent);
+// 📏 recommend_size: guía de tallas (metafields) + medidas del cliente + stock en vivo
+async function recommendSizeForTurn(turn, args) {
+    if (aiIndex.length === 0) await loadIndexes();
+    const { state } = turn;
+    const productId = args.product_id || turn.productOnScreen?.id || state.productFocus?.id;
+    const product = (productId && aiIndexById.get(String(productId)))
+        || (args.handle && aiIndex.find(p => p.handle === args.handle));
+    if (!product) return "ERROR: No sé de qué producto habla el cliente. Pregúntaselo o búscalo con search_products.";
+    turn.isSizeContext = true; // Las tarjetas ofrecen "Ver Tallas"
+
+    // Las medidas se acumulan en la sesión: "mido 1,80" y luego "peso 85" cuentan juntas
+    const given = normalizeMeasurements({
+        height: args.height_cm, weight: args.weight_kg, chest: args.chest_cm,
+        waist: args.waist_cm, hip: args.hip_cm, foot: args.foot_cm
+    });
+    state.measurements = { ...(state.measurements || {}), ...given };
 
-        let aiContent;
-        try {
-            // Usamos el extractor robusto por si GPT mete texto introductorio
-            aiContent = extractJSON(rawContent);
-        } catch (err) {
-            console.error("❌ ERROR PARSEANDO JSON:", err);
-            aiContent = { 
-                reply: "Lo siento, me he liado procesando tu solicitud. ¿Podrías repetirmela de otra forma?", 
-                products: [], 
-                category: "ERROR_JSON" 
-            };
-        }
+    const chart = findSizeChart(product.metafields);
+    if (!chart) {
+        turn.candidates.set(String(product.id), product);
+        return `SIN_GUIA: ${product.title} no tiene tabla de medidas en el catálogo. No adivines una talla: dile que pulse "Ver Tallas" en la tarjeta para abrir la guía, y ofrece ayuda con el stock.`;
+    }
 
-        const seenIds = new Set();
-        const finalProducts = (aiContent.products || []).map(aiProd => {
-            const targetId = typeof aiProd === 'object' ? aiProd.id : aiProd;
-            
-            // Buscamos el producto original en memoria
-            const original = finalCandidatesList.find(p => String(p.id) === String(targetId));
-            
-            if (!original || seenIds.has(original.id)) return null;
-            seenIds.add(original.id);
-
-            // SANITIZACIÓN: Aseguramos que no haya campos NULL que rompan el frontend
-            const safeProduct = {
-                ...original,
-                title: original.title || "Producto Izas",
-                price: original.price || "0.00",
-                image: original.image || "https://cdn.shopify.com/s/files/1/0000/0000/t/1/assets/no-image.jpg", // Placeholder
-                variants: original.variants || [],
-                options: original.options || []
-            };
+    const measures = chart.measures.map(m => MEASURE_LABELS[m]).join(", ");
+    const recommendation = recommendSize(chart, state.measurements);
+    if (!recommendation) {
+        return `FALTAN_MEDIDAS: la guía de ${product.title} usa: ${measures}. Pide al cliente esas medidas (con altura y peso basta para empezar).`;
+    }
 
-            // Lógica de variante específica (si la IA recomienda un color concreto)
-            let displayImage = safeProduct.image;
-            let displayUrlParams = "";
-            
-            if (typeof aiProd === 'object' && aiProd.variant_id && safeProduct.variants.length > 0) {
-                const v = safeProduct.variants.find(v => String(v.id) === String(aiProd.variant_id));
-                if (v) { 
-                    if (v.image) displayImage = v.image; 
-                    displayUrlParams = `?variant=${v.id}`; 
+    const [live] = await getLiveStockForProducts([product]);
+    turn.candidates.set(String(live.id), live);
+    const { size, confidence, alternative, outOfRange } = recommendation;
+    turn.recommendedSizes.set(String(live.id), size); // La tarjeta sale con esa talla preseleccionada
+    const stock = stockForSize(live, size, state.color);
+    console.log(`📏 [${turn.sessionId || "anonimo"}] ${live.title}: talla ${size} (confianza ${confidence}) con ${describeMeasurements(state.measurements)}`);
+
+    let stockText;
+    if (!stock.exists) stockText = `La talla ${size} no existe como variante de este producto.`;
+    else if (stock.colors.length === 0) stockText = `Talla ${size}: 🔴 AGOTADA en todos los colores.`;
+    else stockText = `Talla ${size} disponible en: ${stock.colors.join(", ")}.`;
+    if (stock.colorAvailable === false) stockText += ` NO queda en el color que busca el cliente (${state.color}).`;
+
+    let alternativeText = "";
+    if (alternative) {
+        const altStock = stockForSize(live, alternative, state.color);
+        alternativeText = `\nTALLA ALTERNATIVA: ${alternative} (está entre dos tallas; la ${alternative} si prefiere holgura o capas debajo). ${altStock.colors.length ? `Disponible en: ${altStock.colors.join(", ")}.` : "🔴 Agotada."}`;
+    }
+
+    return `RECOMENDACIÓN: ${live.title} (ID ${live.id}) -> talla ${size} (confianza ${confidence})
+MEDIDAS USADAS: ${describeMeasurements(state.measurements)}${outOfRange.length ? ` | Fuera de la tabla: ${outOfRange.map(m => MEASURE_LABELS[m]).join(", ")}` : ""}
+MEDIDAS DE LA GUÍA: ${measures}
+STOCK: ${stockText}${alternativeText}`;
+}
+
+// 🔔 create_restock_alert: aviso por email cuando vuelva una variante agotada
+async function createRestockAlertForTurn(turn, args) {
+    if (aiIndex.length === 0) await loadIndexes();
+    const { state } = turn;
+    const productId = args.product_id || turn.productOnScreen?.id || state.productFocus?.id;
+    const product = productId && aiIndexById.get(String(productId));
+    if (!product) return "ERROR: No sé de qué producto habla el cliente. Pregúntaselo o búscalo con search_products.";
+
+    if (!restockAlerts.enabled) return "NO_DISPONIBLE: ahora mismo no podemos mandar avisos por email. Que vuelva a mirar la web más adelante o escriba a info@izas-outdoor.com.";
+
+    // Con sesión iniciada usamos su email de Shopify; si no, el que haya escrito (que tendrá que confirmar)
+    const trustedEmail = turn.customer_email || (orderVerifier.otpEnabled ? state.verifiedEmail : null);
+    const email = trustedEmail
+        || (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(args.email || "").trim()) ? String(args.email).trim().toLowerCase() : null);
+    if (!email) {
+        state.pendingQuestion = "restock_email";
+        return "FALTA_EMAIL: pide al cliente el email donde quiere recibir el aviso.";
+    }
+
+    const [live] = await getLiveStockForProducts([product]);
+    turn.candidates.set(String(live.id), live);
+
+    // Variante exacta: talla y color pedidos (o lo elegido antes en la conversación)
+    const size = args.size || state.size;
+    const colorCanonical = args.color ? extractFilters(`color ${args.color}`).color : state.color;
+    const colorText = args.color ? String(args.color).toLowerCase() : colorCanonical;
+    const colorOf = v => variantOption(v, /color|cor/i) || "";
+    let variants = live.variants || [];
+    if (size) {
+        variants = variants.filter(v => normalizeSize(variantOption(v, /talla|size/i)) === normalizeSize(size));
+        if (variants.length === 0) return `NO_EXISTE: ${live.title} no se fabrica en talla ${String(size).toUpperCase()}. Díselo al cliente y ofrécele las tallas que hay.`;
+    }
+    if (colorText) {
+        variants = variants.filter(v => colorCanonical ? matchesColor(colorOf(v), colorCanonical) : colorOf(v).toLowerCase().includes(colorText));
+        if (variants.length === 0) return `NO_EXISTE: ${live.title} no tiene el color ${colorText}${size ? ` en talla ${String(size).toUpperCase()}` : ""}. Díselo al cliente y ofrécele los colores que hay.`;
+    }
+    const soldOut = variants.filter(v => !variantInStock(v));
+    if (soldOut.length === 0) return `HAY_STOCK: ${live.title} está disponible ahora mismo en esa opción. No hace falta aviso: anímale a comprarlo.`;
+    if (soldOut.length > 1) {
+        const options = soldOut.map(v => (v.selectedOptions || []).map(o => o.value).join(" / ")).slice(0, 10).join(", ");
+        return `FALTA_VARIANTE: hay varias opciones agotadas (${options}). Pregunta al cliente qué talla y color quiere.`;
+    }
+
+    const variant = soldOut[0];
+    const label = (variant.selectedOptions || []).map(o => o.value).join(" / ") || variant.title;
+    const { status } = await restockAlerts.subscribe({
+        email, product: live, variant, lang: turn.replyLang, sessionId: turn.sessionId, verified: email === trustedEmail
+    });
+    const messages = {
+        created: `AVISO_CREADO: le avisaremos en ${email} cuando ${live.title} (${label}) vuelva a tener stock. Cada email trae un enlace para darse de baja.`,
+        confirm_sent: `CONFIRMAR_EMAIL: le hemos mandado a ${email} un email para confirmar el aviso de ${live.title} (${label}). Hasta que pulse el enlace (tiene 48 h) no queda apuntado.`,
+        exists: `YA_APUNTADO: ${email} ya tenía un aviso para ${live.title} (${label}).`,
+        limit: `LIMITE: no se pueden crear más avisos para ${email} desde este chat. Que espere a los que tiene o escriba a info@izas-outdoor.com.`,
+        full: `LISTA_LLENA: ya hay mucha gente esperando ${live.title} (${label}). Dile que lo vigile en la web o pregunte por otra talla/color.`,
+        disabled: "NO_DISPONIBLE: ahora mismo no podemos mandar avisos por email. Que vuelva a mirar la web más adelante o escriba a info@izas-outdoor.com.",
+        error: "ERROR: no se ha podido guardar el aviso. Dile que lo intente más tarde."
+    };
+    return messages[status];
+}
+
+// FAQs (y la ficha de marca) más parecidas a un texto, con su similitud
+async function rankFaqs(question, k) {
+    if (faqIndex.length === 0) return [];
+    const [vector] = await embedTexts([question]);
+    return faqIndex
+        .map(f => ({ ...f, score: cosineSimilarity(vector, f.embedding) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, k);
+}
+
+function formatFaqsForAI(faqs) {
+    return faqs.map(f => `P: ${f.question}\nR: ${f.answer}`).join("\n\n");
+}
+
+// ❓ get_faq
+async function getFaqsForTurn(turn, { question }) {
+    const faqs = await rankFaqs(String(question || turn.q), FAQ_RESULTS);
+    if (faqs.length === 0) return "No hay FAQs disponibles ahora mismo. Si no sabes la respuesta, ofrece info@izas-outdoor.com.";
+    return formatFaqsForAI(faqs);
+}
+
+// 🔐 get_order_status: toda la seguridad de pedidos (bloqueos, OTP, email verificado)
+// sobre el estado de la sesión. Lo que el modelo pase en los argumentos viene de lo que
+// ha escrito el cliente, así que se trata igual que una mención en el mensaje.
+async function checkOrderForTurn(turn, args) {
+    const { state, sessionId, ip, lang, customer_email } = turn;
+
+    const argOrderId = String(args.order_number || "").replace(/\D/g, "") || null;
+    const argEmail = /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(args.email || "").trim()) ? String(args.email).trim().toLowerCase() : null;
+    if (argOrderId) state.orderId = argOrderId;
+    if (argEmail && !customer_email && argEmail !== state.email) {
+        state.email = argEmail;
+        state.verifiedEmail = null;
+    }
+    // El código solo se gasta una vez por mensaje, aunque el modelo repita la llamada
+    const otpCode = String(args.verification_code || "").match(/^\s*(\d{6})\s*$/)?.[1] || turn.otpCode;
+    turn.otpCode = null;
+
+    const lookupEmail = state.verifiedEmail || state.email;
+    const verificationKeys = [sessionId && `s:${sessionId}`, ip && `ip:${ip}`];
+    const lock = orderVerifier.lockStatus(verificationKeys);
+    const lockedMessage = retryAfterMs => `🔒 BLOQUEADO: demasiados intentos fallidos. Podrá volver a intentarlo en ${Math.ceil(retryAfterMs / 60000)} minutos o escribir a info@izas-outdoor.com.`;
+
+    let orderData = null;
+    let securityWarning = null; // 🚦 SEMÁFORO DE SEGURIDAD
+    state.pendingQuestion = null; // Se vuelve a fijar abajo si seguimos esperando algo
+
+    if (lock.locked) {
+        // CASO 0: SESIÓN O IP BLOQUEADA -> NI SIQUIERA CONSULTAMOS
+        securityWarning = "BLOQUEO_VERIFICACION";
+        orderData = lockedMessage(lock.retryAfterMs);
+    } else if (otpCode) {
+        // CASO OTP: el cliente escribe el código que le mandamos al email del pedido
+        const check = orderVerifier.confirmCode(sessionId, otpCode);
+        if (check.ok) {
+            state.orderId = check.orderId;
+            state.email = check.email;
+            state.verifiedEmail = check.email;
+            const result = await orderLookup.getOrder(check.orderId, check.email);
+            orderData = result.found
+                ? formatOrderForAI(result.data, { lang })
+                : "❌ ERROR: No se ha podido cargar el pedido ahora mismo. Que lo intente de nuevo en unos minutos.";
+        } else if (check.reason === "invalid") {
+            orderVerifier.recordFailure(verificationKeys);
+            securityWarning = "CODIGO_INCORRECTO";
+            state.pendingQuestion = "otp";
+        } else {
+            if (check.reason === "too_many") orderVerifier.recordFailure(verificationKeys);
+            securityWarning = "CODIGO_CADUCADO";
+        }
+    } else if (state.orderId && lookupEmail) {
+        // CASO A: TENEMOS LOS DOS DATOS ✅ -> CONSULTAMOS
+        const result = await orderLookup.getOrder(state.orderId, lookupEmail);
+        // Con OTP activo, que pedido y email cuadren no basta: el email tiene que estar verificado
+        const trusted = !orderVerifier.otpEnabled || state.verifiedEmail === lookupEmail;
+
+        if (result.found && trusted) {
+            state.verifiedEmail = lookupEmail;
+            orderData = formatOrderForAI(result.data, { lang });
+        } else if (result.found) {
+            const pending = sessionId ? orderVerifier.pendingChallenge(sessionId) : null;
+            if (!sessionId) {
+                orderData = "❌ ERROR: No se puede verificar el pedido desde este chat. Que escriba a info@izas-outdoor.com.";
+            } else if (pending && pending.orderId === state.orderId && !pending.expired) {
+                orderData = "[VERIFICACION_PENDIENTE] Ya le hemos enviado un código de 6 cifras al email del pedido.";
+                state.pendingQuestion = "otp";
+            } else {
+                try {
+                    await orderVerifier.startChallenge(sessionId, { orderId: state.orderId, email: lookupEmail, lang });
+                    orderData = "[VERIFICACION_PENDIENTE] Le acabamos de enviar un código de 6 cifras al email del pedido.";
+                    state.pendingQuestion = "otp";
+                } catch (error) {
+                    console.error("❌ Error enviando código de verificación:", error.message || error);
+                    orderData = "❌ ERROR: No se ha podido enviar el código de verificación. Que escriba a info@izas-outdoor.com.";
                 }
             }
-            
-            return { ...safeProduct, displayImage, displayUrlParams };
-        }).filter(Boolean); // Eliminamos los nulos
-
-        // ---------------------------------------------------------
-        // 🔥 4.5 FIX URLS: QUITAR PUNTOS FINALES DE LOS ENLACES
-        // ---------------------------------------------------------
-        if (aiContent && aiContent.reply) {
-            // Esta expresión regular busca URLs que terminen en punto, coma o dos puntos
-            // y elimina ese signo de puntuación para que el click funcione bien.
-            aiContent.reply = aiContent.reply.replace(/(https?:\/\/[^\s]+)[.,:;](?=\s|$)/g, '$1');
+        } else {
+            // Pedido inexistente o email que no cuadra: cuenta como intento fallido
+            const after = orderVerifier.recordFailure(verificationKeys);
+            if (after.locked) {
+                securityWarning = "BLOQUEO_VERIFICACION";
+                orderData = lockedMessage(after.retryAfterMs);
+                state.orderId = null;
+            } else if (result.reason === "email_mismatch") {
+                orderData = "❌ ERROR SEGURIDAD: El email proporcionado no coincide.";
+                if (!customer_email) {
+                    state.email = null;
+                    state.verifiedEmail = null;
+                    state.pendingQuestion = "email";
+                }
+            } else {
+                orderData = "❌ ERROR: No existe ningún pedido con ese número.";
+                state.orderId = null;
+                state.pendingQuestion = "order_id";
+            }
         }
-        // ---------------------------------------------------------
-        // 5. 💾 GUARDADO EN SUPABASE (HISTORIAL)
-        // ---------------------------------------------------------
-        const currentSessionId = session_id || "anonimo";
+    } else if (state.orderId) {
+        securityWarning = "FALTA_EMAIL";
+        state.pendingQuestion = "email";
+    } else if (customer_email) {
+        // CASO B: cliente con sesión que pregunta por "mis pedidos" -> le enseñamos los últimos
+        const result = await orderLookup.listRecentOrders(customer_email);
+        if (result.reason === "error") {
+            securityWarning = "FALTA_PEDIDO_ID";
+        } else {
+            orderData = formatOrderListForAI(result.orders, { lang });
+        }
+        if (result.found || result.reason === "error") state.pendingQuestion = "order_id";
+    } else {
+        securityWarning = "FALTA_PEDIDO_ID";
+        state.pendingQuestion = "order_id";
+    }
+
+    return `ALERTA SEGURIDAD: ${securityWarning || "Ninguna"}\nDATOS PEDIDO LIVE: ${orderData || "N/A"}`;
+}
+
+function buildChatToolHandlers(turn) {
+    return {
+        search_products: args => searchProductsForTurn(turn, args),
+        get_product_stock: args => getProductStockForTurn(turn, args),
+        recommend_size: args => recommendSizeForTurn(turn, args),
+        create_restock_alert: args => createRestockAlertForTurn(turn, args),
+        get_order_status: args => checkOrderForTurn(turn, args),
+        get_faq: args => getFaqsForTurn(turn, args),
+        get_member_profile: () => turn.memberInfo
+    };
+}
+
+// lang: idioma preferido del navegador (para los textos de estado de pedidos)
+async function prepareChatTurn(body, { lang = "es", ip = null } = {}) {
+    // 🔥🔥 AÑADIDO: 'context_handle' para saber dónde está el usuario
+    const { q, visible_ids, context_handle, login_url } = body;
+    const { member_context, customer_email } = verifiedMember(body);
+    const cart = readCart(body.cart);
+    const history = Array.isArray(body.history) ? body.history : [];
+
+    // ---------------------------------------------------------
+    // 1. 🔍 ESTADO DE LA SESIÓN (pedido, email, talla, color, producto en foco)
+    // ---------------------------------------------------------
+    const sessionId = body.session_id || null;
+    const state = await sessionStore.get(sessionId);
+    const mentions = readOrderMentions(q, state.pendingQuestion);
+    const otpCode = state.pendingQuestion === "otp" ? q.match(/\b(\d{6})\b/)?.[1] : null;
+    // 🧭 Intención (con el estado de ANTES de este mensaje: "¿esperábamos el número de pedido?")
+    const { intent, lang: intentLang } = classifyIntent(q, { state, mentions });
+    console.log(`🧭 [${sessionId || "anonimo"}] Intención: ${intent}`);
+    state.pendingQuestion = null; // get_order_status lo vuelve a fijar si seguimos esperando algo
+
+    if (mentions.orderId) state.orderId = mentions.orderId;
+    if (mentions.email && mentions.email !== state.email) {
+        state.email = mentions.email;
+        state.verifiedEmail = null;
+    }
+
+    // 🔐 Si el cliente tiene sesión iniciada en Shopify, usamos SIEMPRE su email verificado
+    // (más seguro que confiar en uno que escriba el usuario, y evita tener que pedírselo).
+    if (customer_email) {
+        state.email = String(customer_email).toLowerCase();
+        state.verifiedEmail = state.email;
+    }
+
+    const filters = extractFilters(q);
+    if (filters.size) state.size = filters.size;
+    if (filters.color) state.color = filters.color;
+
+    // ---------------------------------------------------------
+    // 2. 🔥 CONTEXTO WEB: producto en pantalla, en foco y ya mostrados
+    // (sin esperar a cargar el índice: los atajos no lo necesitan y las herramientas ya lo cargan)
+    // ---------------------------------------------------------
+    const productOnScreen = context_handle ? aiIndex.find(p => p.handle === context_handle) : null;
+    if (productOnScreen) {
+        state.productFocus = { id: String(productOnScreen.id), title: productOnScreen.title, handle: productOnScreen.handle };
+    }
+    const productInFocus = state.productFocus ? aiIndexById.get(String(state.productFocus.id)) : null;
+    const visibleIds = Array.isArray(visible_ids) ? visible_ids.map(String) : [];
+    const contextProducts = aiIndex.filter(p => visibleIds.includes(String(p.id)));
+    const cartProducts = (cart?.items || []).map(item => aiIndexById.get(item.product_id)).filter(Boolean);
+
+    // Candidatos de partida (sin stock: si hace falta, el modelo lo pide con get_product_stock)
+    const candidates = new Map();
+    [productOnScreen, productInFocus, ...contextProducts, ...cartProducts]
+        .filter(Boolean)
+        .forEach(p => candidates.set(String(p.id), p));
+
+    const alreadyShown = contextProducts.map(p => `${p.id}: ${p.title}`).join(" | ") || "Ninguno";
+
+    const messages = [
+            {
+                role: "system",
+                content: `Eres el asistente virtual oficial de Izas Outdoor. Tu tono es cercano, profesional y aventurero.
+
+                🌍 CONTROL DE IDIOMA (PRIORIDAD MÁXIMA):
+                1. DETECTA AUTOMÁTICAMENTE el idioma en el que escribe el usuario.
+                2. RESPONDE SIEMPRE en ese mismo idioma.
+                3. Los datos de las herramientas vienen en español: TRADÚCELOS al idioma del usuario en tu respuesta final.
+
+                🛠️ HERRAMIENTAS:
+                - No tienes los datos delante: pídelos con las herramientas y usa SOLO lo que devuelvan.
+                - Llama solo a las que necesites. Para un saludo, un "gracias" o una derivación a humano no hace falta ninguna.
+                - search_products: buscar o comparar productos. get_product_stock: tallas/colores/stock de un producto concreto.
+                - recommend_size: "¿qué talla me pido?" con las medidas del cliente (altura, peso, pecho, largo de pie...).
+                - create_restock_alert: aviso por email cuando vuelva una talla/color agotado.
+                - get_order_status: pedidos. get_faq: envíos, devoluciones, pagos, tiendas, tecnologías, marca, cómo funciona Izas Members.
+                - get_member_profile: puntos, nivel y ventajas del cliente actual.
+
+                🔥 CONTEXTO WEB (IMPORTANTE):
+                - "PRODUCTO EN PANTALLA" (abajo) es la página que el cliente está viendo.
+                - Si pregunta "qué precio tiene", "hay talla", "cómo talla" o "tabla de medidas" SIN DECIR EL NOMBRE, SE REFIERE A ESE PRODUCTO: consulta su stock con get_product_stock.
+                - Priorízalo en tu respuesta.
+                - ⚠️ OBLIGATORIO: Si el cliente está viendo un producto, DEBES INCLUIRLO SIEMPRE en el array "products" de tu respuesta JSON, incluso si solo estás dando información de tallas o envíos.
+                - El panel lateral depende de que tú envíes ese producto en el JSON. No falles.
+
+                ⛔ REGLAS DE SEGURIDAD (IMPORTANTE):
+                1. COMPETENCIA Y CANALES: Decathlon, Amazon... son partners. No mientas. Recomienda comprar en web oficial.
+                2. CONOCIMIENTO: Usa solo lo que devuelven las herramientas. Si no sabes, dilo.
+
+                3. GESTIÓN DE STOCK Y CONTEXTO VISUAL (¡MUY IMPORTANTE!):
+                    - CRUCIAL: LEE EL CAMPO 'Stock:' DE CADA PRODUCTO.
+                    - Si dice "Tallas disponibles (S, M, L)", ENTONCES SÍ HAY STOCK. No inventes que está agotado.
+                    - Si un color tiene tallas y otro no, ESPECIFÍCALO CLARAMENTE.
+                    - Ejemplo correcto: "El modelo Konka en Azul tiene S y M. En Rojo está agotado."
+                    - Si search_products indica filtros "SIN RESULTADOS", díselo al cliente y ofrece lo más parecido.
+                    - 🔔 Si la talla o el color que quiere está "🔴 AGOTADO" (o no sale entre las tallas disponibles), ofrécele avisarle por email cuando vuelva. Si acepta, llama a create_restock_alert (si falta el email, te lo dirá: pídeselo).
+
+                4. 👨‍👩‍👧‍👦 GESTIÓN DE FAMILIAS (EL "MODO CARRUSEL"):
+                    - ACTIVACIÓN: Si el usuario busca un nombre genérico (ej: "Anger", "Naluns") y ves varios resultados distintos.
+                    - ACCIÓN:
+                      1. JSON "reply": "He encontrado varias opciones para [Nombre]. Por favor, selecciona abajo el modelo exacto."
+                      2. ⚠️ JSON "products": [ID1, ID2, ID3...] <-- ¡OBLIGATORIO LLENARLO CON TODO LO ENCONTRADO!
+                    - PROHIBIDO: No des enlaces de tallas ni precios específicos en el texto si estás en este modo. Obliga al usuario a clicar en la tarjeta.
+
+                5. 🚨 DERIVACIÓN A HUMANO (PRIORIDAD MÁXIMA):
+                    - Si piden "agente", "humano", "persona": NO INTENTES AYUDAR.
+                    - RESPUESTA OBLIGATORIA: "¡Claro! Escríbenos a info@izas-outdoor.com o llama al 976502040 dentro del horario laboral."
+                    - ETIQUETA: "DERIVACION_HUMANA"
+
+                6. 🕵️‍♂️ BÚSQUEDA CRUZADA DE TALLAS (¡CRÍTICO!):
+                    - Si el usuario pregunta "¿Hay talla XXL de la Konka?":
+                    - 🛑 NO mires solo el primer producto y digas "No".
+                    - ✅ REVISA TODOS los productos que te devuelva search_products.
+                    - Si el producto 1 no tiene, pero el producto 2 sí, responde: "Sí, la tengo disponible en talla XXL en color [Color del Producto 2]".
+
+                7. 🎖️ PUNTOS, NIVEL Y VENTAJAS DE IZAS MEMBERS (CLIENTE ACTUAL):
+                    - Si el usuario pregunta por SUS puntos, nivel, saldo o "qué ventajas/beneficios tengo", usa EXCLUSIVAMENTE lo que devuelva get_member_profile (incluye ya las ventajas de su nivel concreto). No inventes ni calcules cifras, y no menciones niveles que no sean el suyo.
+                    - Si empieza por "N/A": el cliente no tiene sesión iniciada o no es socio. Explica brevemente que necesita iniciar sesión, e incluye el enlace que viene ahí mismo en formato de link: [Iniciar sesión](enlace). No reveles el motivo técnico del N/A.
+                    - Si SÍ tiene Nivel/Puntos reales, NUNCA sugieras iniciar sesión ni canjees dudas sobre si la sesión está iniciada: ya lo está, responde directamente con sus datos.
+                    - Para dudas generales sobre cómo funciona el programa (cómo ganar puntos, canjear, requisitos de cada nivel, etc.) usa get_faq.
+
+                8. 📏 RECOMENDACIÓN DE TALLA (recommend_size):
+                    - Si el cliente pregunta qué talla elegir, llama a recommend_size con las medidas que haya dado (en esta conversación o en "ESTADO CONVERSACIÓN").
+                    - "FALTAN_MEDIDAS": pide SOLO las medidas que indica. "SIN_GUIA": no inventes talla, remite a "Ver Tallas".
+                    - Confianza "alta": recomiéndala con seguridad. "media": recomiéndala, pero sugiere comprobar la guía. "baja": dilo claramente y recomienda revisar la guía o escribir a info@izas-outdoor.com.
+                    - Si hay TALLA ALTERNATIVA, menciónala. Cruza SIEMPRE con el STOCK: si la talla recomendada está agotada, dilo y ofrece colores o la alternativa con stock.
+
+                9. 🛒 CARRITO:
+                    - Si pregunta qué lleva en el carrito, usa "CARRITO DEL CLIENTE" (abajo). Si es "Desconocido", dile que no puedes verlo ahora mismo.
+                    - Para sugerir complementos, busca con search_products prendas que combinen con lo que lleva (chaqueta -> pantalón, capa térmica, gorro...) y NO repitas productos que ya estén en el carrito.
+                    - Las tarjetas tienen botón "Añadir al carrito" con selector de talla y color: puedes invitar a usarlo. Tú no puedes modificar el carrito.
+
+                10. 📦 CONSULTA DE PEDIDOS (get_order_status):
+                    - SÍ PUEDES consultar pedidos concretos: nunca digas que "no tienes acceso" a los pedidos.
+                    - Llámala cada vez que el cliente hable de su pedido, dé un número de pedido, un email o un código de verificación.
+                    - Si "DATOS PEDIDO LIVE" es una lista [PEDIDOS_CLIENTE], enséñale sus pedidos (número, fecha, total y estado) y pregúntale cuál quiere consultar.
+                    - Si el pedido tiene varios ENVÍOS, explica cada uno con su transportista y su enlace de seguimiento. Si hay ARTÍCULOS pendientes de envío, di cuáles.
+                    - Si hay CANCELADO, DEVOLUCIONES o REEMBOLSOS, explícalo con las cifras y fechas que aparecen (no inventes plazos).
+                    - Si "ALERTA SEGURIDAD" es "FALTA_EMAIL", pide el email de la compra. Si es "FALTA_PEDIDO_ID", pide el número de pedido.
+                    - Si "DATOS PEDIDO LIVE" es [VERIFICACION_PENDIENTE], dile que le hemos enviado un código de 6 cifras al email de la compra y que lo escriba aquí. Si la alerta es "CODIGO_INCORRECTO", que lo revise y lo escriba otra vez; si es "CODIGO_CADUCADO", que vuelva a preguntar por su pedido para recibir uno nuevo.
+                    - Si la alerta es "BLOQUEO_VERIFICACION", explica que por seguridad no puedes consultar pedidos durante un rato y ofrece info@izas-outdoor.com.
+                    - NUNCA des detalles de un pedido (artículos, direcciones, envíos) si no aparecen en "DATOS PEDIDO LIVE" como [DATOS_ENCONTRADOS].
+                    - Solo si tras pedir el número de pedido el cliente no puede dártelo o el sistema no lo encuentra, deriva a info@izas-outdoor.com.
+
+                --- CONTEXTO ---
+                PRODUCTO EN PANTALLA: ${productOnScreen ? `${productOnScreen.title} (ID: ${productOnScreen.id}) (🔥 USUARIO VIENDO AHORA)` : "Ninguno"}
+                PRODUCTOS YA MOSTRADOS EN EL CHAT: ${alreadyShown}
+                CARRITO DEL CLIENTE: ${describeCart(cart)}
+                ESTADO CONVERSACIÓN: ${describeState(state)}
+
+                Responde JSON: { "reply": "...", "products": [IDs de productos devueltos por las herramientas o de arriba], "category": "ETIQUETA" }
+                `
+            },
+            ...history.slice(-4).map(m => ({ role: m.role, content: m.content })),
+            // 🔥 AVISAMOS AL PROMPT DEL CONTEXTO
+            { role: "user", content: `Usuario busca: "${q}" ${productOnScreen ? "[Contexto: Usuario viendo " + productOnScreen.title + "]" : ""}` }
+    ];
+
+    return {
+        q,
+        history,
+        sessionId,
+        state,
+        lang,
+        ip,
+        intent,
+        replyLang: intentLang || lang,
+        customer_email,
+        otpCode,
+        productOnScreen,
+        memberInfo: describeMember(member_context, login_url || "https://www.izas-outdoor.com/account/login"),
+        messages,
+        candidates,
+        cart,
+        recommendedSizes: new Map(), // productId -> talla recomendada por recommend_size
+        isSizeContext: /talla|medida|guia|dimension|size|mido|peso/i.test(q)
+    };
+}
+
+// 💬 Solo FAQs: una llamada a gpt-4o-mini sin herramientas. null si ninguna FAQ encaja.
+async function answerFromFaqs(turn, { onContent, signal }) {
+    const faqs = await rankFaqs(turn.q, FAQ_RESULTS);
+    if (faqs.length === 0 || faqs[0].score < FAQ_MIN_SCORE) return null;
+
+    const screen = turn.productOnScreen;
+    const messages = [
+        {
+            role: "system",
+            content: `Eres el asistente virtual oficial de Izas Outdoor. Tu tono es cercano, profesional y aventurero.
+            🌍 Detecta el idioma del usuario y RESPONDE SIEMPRE en ese idioma (traduce las FAQs si hace falta).
+            Responde SOLO con la información de estas FAQs, sin inventar plazos ni cifras. Si no cubren la duda, dilo y ofrece info@izas-outdoor.com.
+            ${screen ? `El cliente está viendo el producto ${screen.title} (ID: ${screen.id}): inclúyelo en "products".` : ""}
+
+            FAQs:
+            ${formatFaqsForAI(faqs)}
+
+            Responde JSON: { "reply": "...", "products": [], "category": "FAQ" }`
+        },
+        ...turn.history.slice(-2).map(m => ({ role: m.role, content: m.content })),
+        { role: "user", content: turn.q }
+    ];
+
+    console.log(`💬 [${turn.sessionId || "anonimo"}] Respuesta solo-FAQs (${faqs[0].id}, similitud ${faqs[0].score.toFixed(2)})`);
+    const { content } = await runToolLoop({
+        openai,
+        model: FAQ_MODEL,
+        messages,
+        maxRounds: 1,
+        onUsage: (model, usage) => dailyBudget.record(model, usage),
+        onContent,
+        signal,
+        label: turn.sessionId || "anonimo"
+    });
+    return content;
+}
+
+// Responde según la intención. onContent (streaming) recibe el texto de la respuesta final según llega.
+async function answerChatTurn(turn, { onContent = null, signal } = {}) {
+    turn.toolTrace = [];
+
+    // Atajos sin IA: saludo, gracias, derivación a humano (abre la incidencia)
+    const canned = turn.intent === "human" ? await requestHumanHandoff(turn) : cannedReply(turn.intent, turn.replyLang);
+    if (canned) {
+        const content = JSON.stringify({ reply: canned, products: turn.productOnScreen ? [String(turn.productOnScreen.id)] : [] });
+        if (onContent) onContent(content);
+        return content;
+    }
+
+    if (turn.intent === "faq") {
+        const content = await answerFromFaqs(turn, { onContent, signal });
+        if (content !== null) return content;
+    }
+
+    const allowed = INTENT_TOOLS[turn.intent];
+    const { content, trace } = await runToolLoop({
+        openai,
+        model: ANSWER_MODEL,
+        messages: turn.messages,
+        tools: allowed ? CHAT_TOOLS.filter(t => allowed.includes(t.function.name)) : CHAT_TOOLS,
+        handlers: buildChatToolHandlers(turn),
+        maxRounds: MAX_TOOL_ROUNDS,
+        maxCalls: MAX_TOOL_CALLS,
+        onUsage: (model, usage) => dailyBudget.record(model, usage),
+        onContent,
+        signal,
+        label: turn.sessionId || "anonimo"
+    });
+    turn.toolTrace = trace;
+    return content;
+}
+
+// Convierte el JSON del modelo en la respuesta del widget y guarda la conversación
+function finishChatTurn(turn, rawContent, sessionId) {
+    const { q, history, candidates } = turn;
+
+    let aiContent;
+    try {
+        // Usamos el extractor robusto por si GPT mete texto introductorio
+        aiContent = extractJSON(rawContent);
+    } catch (err) {
+        console.error("❌ ERROR PARSEANDO JSON:", err);
+        aiContent = { 
+            reply: "Lo siento, me he liado procesando tu solicitud. ¿Podrías repetirmela de otra forma?", 
+            products: [], 
+            category: "ERROR_JSON" 
+        };
+    }
+
+    const seenIds = new Set();
+    const finalProducts = (aiContent.products || []).map(aiProd => {
+        const targetId = typeof aiProd === 'object' ? aiProd.id : aiProd;
         
-        // Enriquecemos el log del asistente con los nombres de los productos recomendados
-        let enrichedReply = aiContent.reply;
-        if (finalProducts.length > 0) {
-            const productNames = finalProducts.map(p => p.title).join(", ");
-            enrichedReply += `\n[CONTEXTO SISTEMA: Productos mostrados: ${productNames}]`;
-        }
-
-        // Construimos el historial para guardar
-        const newInteraction = [
-          { 
-            role: "user", 
-            content: q, 
-            timestamp: new Date().toISOString() // Ej: "2024-02-10T15:30:00.000Z" (Formato universal)
-          },
-          { 
-            role: "assistant", 
-            content: enrichedReply, 
-            timestamp: new Date().toISOString() 
-          }
-        ];
-        const fullHistoryToSave = [...(history || []), ...newInteraction];
+        // Solo productos que el modelo ha visto (herramientas o contexto web)
+        const original = candidates.get(String(targetId));
+        
+        if (!original || seenIds.has(original.id)) return null;
+        seenIds.add(original.id);
+
+        // SANITIZACIÓN: Aseguramos que no haya campos NULL que rompan el frontend
+        const safeProduct = {
+            ...original,
+            title: original.title || "Producto Izas",
+            price: original.price || "0.00",
+            image: original.image || "https://cdn.shopify.com/s/files/1/0000/0000/t/1/assets/no-image.jpg", // Placeholder
+            // `available` = variantInStock(): el widget no repite la regla (ver renderVariantPicker)
+            variants: (original.variants || []).map(v => ({ ...v, available: variantInStock(v) })),
+            options: original.options || []
+        };
 
-        supabase.from('chat_sessions').upsert({
-            session_id: currentSessionId,
-            conversation: fullHistoryToSave,
-            category: aiContent.category || "GENERAL",
-            updated_at: new Date()
-        }, { onConflict: 'session_id' }).then(({ error }) => { if (error) console.error("❌ Error Supabase:", error); });
+        // Lógica de variante específica (si la IA recomienda un color concreto)
+        let displayImage = safeProduct.image;
+        let displayUrlParams = "";
+        
+        // Variante seleccionada (la que enlaza la tarjeta y la que añade al carrito):
+        // 1. la que diga el modelo, 2. la que cumple los filtros de la búsqueda,
+        // 3. la talla recomendada o la talla/color elegidos en la conversación.
+        let variantId = typeof aiProd === 'object' ? aiProd.variant_id : null;
+        let matchingIds = original.matchingVariantIds;
+        if (!variantId && !matchingIds?.length) {
+            const size = turn.recommendedSizes.get(String(original.id)) || turn.state.size;
+            const chosen = {};
+            if (size) chosen.size = normalizeSize(size);
+            if (turn.state.color) chosen.color = turn.state.color;
+            if (Object.keys(chosen).length > 0) {
+                const [filtered] = applyFilters([safeProduct], chosen).products;
+                matchingIds = filtered?.matchingVariantIds;
+            }
+        }
+        if (!variantId && matchingIds?.length) {
+            const matching = safeProduct.variants.filter(v => matchingIds.includes(String(v.id)));
+            const inStock = matching.find(variantInStock);
+            variantId = (inStock || matching[0])?.id;
+        }
 
-        const isSizeContext = /talla|medida|guia|dimension|size/i.test(q);
+        let selectedVariant = null;
+        if (variantId && safeProduct.variants.length > 0) {
+            selectedVariant = safeProduct.variants.find(v => String(v.id) === String(variantId)) || null;
+            if (selectedVariant) { 
+                if (selectedVariant.image) displayImage = selectedVariant.image; 
+                displayUrlParams = `?variant=${selectedVariant.id}`; 
+            }
+        }
         
-        // Enviamos la respuesta final limpia al Frontend
-        res.json({ 
-            products: finalProducts, 
-            text: aiContent.reply, 
-            isSizeContext: isSizeContext 
-        });
+        return { ...safeProduct, displayImage, displayUrlParams, variant_id: selectedVariant ? String(selectedVariant.id) : null };
+    }).filter(Boolean); // Eliminamos los nulos
+
+    // ---------------------------------------------------------
+    // 🔥 4.5 FIX URLS: QUITAR PUNTOS FINALES DE LOS ENLACES
+    // ---------------------------------------------------------
+    if (aiContent && aiContent.reply) {
+        // Esta expresión regular busca URLs que terminen en punto, coma o dos puntos
+        // y elimina ese signo de puntuación para que el click funcione bien.
+        aiContent.reply = aiContent.reply.replace(/(https?:\/\/[^\s]+)[.,:;](?=\s|$)/g, '$1');
+    }
+    // ---------------------------------------------------------
+    // 5. 💾 GUARDADO EN SUPABASE (HISTORIAL)
+    // ---------------------------------------------------------
+    const currentSessionId = sessionId || "anonimo";
+    
+    // Enriquecemos el log del asistente con los nombres de los productos recomendados
+    let enrichedReply = aiContent.reply;
+    if (finalProducts.length > 0) {
+        const productNames = finalProducts.map(p => p.title).join(", ");
+        enrichedReply += `\n[CONTEXTO SISTEMA: Productos mostrados: ${productNames}]`;
+    }
+
+    // Estado de la sesión: el primer producto recomendado pasa a ser el "producto en foco"
+    if (finalProducts.length > 0) {
+        const focus = finalProducts[0];
+        turn.state.productFocus = { id: String(focus.id), title: focus.title, handle: focus.handle };
+    }
+    if (turn.sessionId) sessionStore.save(turn.sessionId, turn.state);
+
+    // Construimos el historial para guardar
+    const newInteraction = [
+      { 
+        role: "user", 
+        content: q, 
+        timestamp: new Date().toISOString() // Ej: "2024-02-10T15:30:00.000Z" (Formato universal)
+      },
+      { 
+        role: "assistant", 
+        content: enrichedReply, 
+        timestamp: new Date().toISOString() 
+      }
+    ];
+
+    // Se añade a lo guardado (no al historial del cliente): así no se pisan los
+    // mensajes del agente, de la derivación o de /api/chat/log
+    appendToConversation(currentSessionId, newInteraction, {
+        category: INTENT_CATEGORIES[turn.intent] || aiContent.category || "GENERAL"
+    }).catch(error => console.error("❌ Error Supabase:", error));
+
+    // Enviamos la respuesta final limpia al Frontend
+    return {
+        products: finalProducts,
+        text: aiContent.reply,
+        isSizeContext: turn.isSizeContext,
+        // El widget empieza a preguntar por mensajes del agente (ver /api/chat/handoff)
+        ...(turn.handoff ? { handoff: { ref: turn.handoff.ref, status: turn.handoff.status } } : {})
+    };
+}
+
+app.post("/api/ai/search", chatRateLimit, agentTakeover, dailyBudgetGuard, async (req, res) => {
+    if (!req.body?.q) return res.status(400).json({ error: "Falta query" });
+
+    try {
+        const turn = await prepareChatTurn(req.body, { lang: req.acceptsLanguages(...SUPPORTED_LANGUAGES) || "es", ip: req.ip });
+
+        // ---------------------------------------------------------
+        // 3. 🗣️ GENERACIÓN DE RESPUESTA (OPENAI + HERRAMIENTAS)
+        // ---------------------------------------------------------
+        const rawContent = await answerChatTurn(turn);
+        console.log("RAW OPENAI RESPONSE:", rawContent);
+
+        res.json(finishChatTurn(turn, rawContent, req.body.session_id));
 
     } catch (error) {
         console.error("❌ ERROR:", error);
+        if (error instanceof OpenAI.APIError) recordDependencyError("openai", error);
         res.status(500).json({ error: "Error interno" });
     }
 });
 
+/* ==========================================================================
+   📡 VERSIÓN STREAMING (/api/ai/search/stream) — Server-Sent Events
+   ==========================================================================
+   Mismo cuerpo que /api/ai/search. Eventos que recibe el widget:
+   - "delta": { text }  -> trozo nuevo del texto de la respuesta.
+   - "done":  { text, products, isSizeContext } -> respuesta final (igual que la JSON).
+   - "error": { error } -> algo falló; el widget reintenta con /api/ai/search.
+   ========================================================================== */
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+app.post("/api/ai/search/stream", chatRateLimit, agentTakeover, dailyBudgetGuard, async (req, res) => {
+    if (!req.body?.q) return res.status(400).json({ error: "Falta query" });
+
+    res.set({
+        "Content-Type": "text/event-stream; charset=utf-8",
+        "Cache-Control": "no-cache, no-transform",
+        "Connection": "keep-alive",
+        "X-Accel-Buffering": "no" // Evita que el proxy de Render acumule la respuesta
+    });
+    res.flushHeaders();
+
+    // Si el usuario cierra el chat a medias, cortamos también la llamada a OpenAI
+    const abort = new AbortController();
+    res.on("close", () => abort.abort());
+
+    try {
+        const turn = await prepareChatTurn(req.body, { lang: req.acceptsLanguages(...SUPPORTED_LANGUAGES) || "es", ip: req.ip });
+
+        // Las rondas de herramientas no llevan texto; solo la respuesta final genera "delta"
+        const extractReply = createReplyExtractor();
+        const rawContent = await answerChatTurn(turn, {
+            signal: abort.signal,
+            onContent: piece => {
+                const text = extractReply(piece);
+                if (text) sendEvent(res, "delta", { text });
+            }
+        });
+        console.log("RAW OPENAI RESPONSE (stream):", rawContent);
+
+        sendEvent(res, "done", finishChatTurn(turn, rawContent, req.body.session_id));
+    } catch (error) {
+        if (abort.signal.aborted) return; // El cliente ya no escucha
+        console.error("❌ ERROR (stream):", error);
+        if (error instanceof OpenAI.APIError) recordDependencyError("openai", error);
+        sendEvent(res, "error", { error: "Error interno" });
+    }
+    res.end();
+});
+
 /* ==========================================================================
    📝 ENDPOINT PARA GUARDAR LOGS MANUALES (Feedback, Botones, etc.)
    ========================================================================== */
+// Conversación guardada de una sesión ([] si todavía no hay)
+async function loadConversation(sessionId) {
+    const { data: session, error } = await supabase
+        .from('chat_sessions')
+        .select('conversation')
+        .eq('session_id', sessionId)
+        .maybeSingle();
+    if (error) {
+        recordDependencyError("supabase", error);
+        throw error; // Nunca seguir con [] y sobrescribir el historial
+    }
+    return session && session.conversation ? session.conversation : [];
+}
+
+// Añade mensajes al final de la conversación guardada. Cliente, agente y /api/chat/log
+// escriben la misma fila leyendo y reescribiendo la conversación: en cola por sesión,
+// cada escritura parte de lo que dejó la anterior. `fields` son columnas extra de la
+// fila (p. ej. category) que se guardan en la misma escritura.
+const conversationWrites = new Map(); // sessionId -> última escritura en curso
+function appendToConversation(sessionId, entries, fields = {}) {
+    const write = (conversationWrites.get(sessionId) || Promise.resolve())
+        .catch(() => { })
+        .then(() => writeConversationEntries(sessionId, entries, fields));
+    conversationWrites.set(sessionId, write);
+    write.catch(() => { }).finally(() => {
+        if (conversationWrites.get(sessionId) === write) conversationWrites.delete(sessionId);
+    });
+    return write;
+}
+
+async function writeConversationEntries(sessionId, entries, fields) {
+    const history = await loadConversation(sessionId);
+    history.push(...entries);
+
+    const { error } = await supabase
+        .from('chat_sessions')
+        .upsert({
+            ...fields,
+            session_id: sessionId,
+            conversation: history,
+            updated_at: new Date()
+        });
+    if (error) {
+        recordDependencyError("supabase", error);
+        throw error;
+    }
+}
+
 app.post("/api/chat/log", async (req, res) => {
     const { session_id, role, content } = req.body;
 
     if (!session_id || !role || !content) return res.status(400).json({ error: "Faltan datos" });
 
     try {
-        // 1. Recuperamos la conversación actual
-        const { data: session } = await supabase
-            .from('chat_sessions')
-            .select('conversation')
-            .eq('session_id', session_id)
-            .single();
-
-        // Si no existe sesión, creamos array nuevo; si existe, usamos el historial
-        let history = session && session.conversation ? session.conversation : [];
-
-        // 2. Añadimos el nuevo mensaje
-        history.push({
+        await appendToConversation(session_id, [{
             role: role, // 'assistant' (botones) o 'user' (click en sí/no)
             content: content,
             timestamp: new Date()
-        });
-
-        // 3. Guardamos la actualización
-        const { error } = await supabase
-            .from('chat_sessions')
-            .upsert({
-                session_id: session_id,
-                conversation: history,
-                updated_at: new Date()
-            });
-
-        if (error) throw error;
+        }]);
 
         console.log(`💾 Log manual guardado para sesión ${session_id}: ${content}`);
         res.json({ success: true });
@@ -1004,12 +2263,575 @@ app.post("/api/chat/log", async (req, res) => {
     }
 });
 
+/* ==========================================================================
+   🙋 DERIVACIÓN A UNA PERSONA (ver handoff.js)
+   ==========================================================================
+   - requestHumanHandoff(): lo llama el router cuando el cliente pide hablar
+     con alguien. Abre la incidencia y contesta según el horario laboral.
+   - agentTakeover: con un agente al mando, el bot no contesta; el mensaje
+     del cliente se guarda para el agente. Va detrás de chatRateLimit: los
+     mensajes al agente cuentan para el límite igual que los del bot.
+   - GET /api/chat/handoff: el widget pregunta cada pocos segundos por los
+     mensajes nuevos del agente.
+   ========================================================================== */
+// Horario del equipo, sacado de la FAQ "horario_laboral" (del fichero si las FAQs aún no están vectorizadas)
+function businessSchedule() {
+    let faq = faqIndex.find(f => f.id === "horario_laboral");
+    if (!faq && fs.existsSync(FAQ_FILE)) {
+        try { faq = JSON.parse(fs.readFileSync(FAQ_FILE, "utf8")).find(f => f.id === "horario_laboral"); } catch { faq = null; }
+    }
+    return faq ? parseBusinessHours(faq.answer) : null;
+}
+
+async function requestHumanHandoff(turn) {
+    const { sessionId, replyLang: lang } = turn;
+    // Sin sesión no hay dónde mandarle la respuesta del agente: solo datos de contacto
+    if (!sessionId || !ticketConnector.createTicket) return cannedReply("human", lang);
+
+    const existing = await handoffStore.get(sessionId);
+    if (existing && existing.status !== "closed") {
+        turn.handoff = existing;
+        return handoffReply("already", lang, { ref: existing.ref });
+    }
+
+    const businessOpen = isBusinessOpen(businessSchedule(), { timeZone: HANDOFF_TIMEZONE, summerMonths: HANDOFF_SUMMER_MONTHS });
+    const handoff = newHandoff({ connector: ticketConnector.kind, businessOpen });
+    const conversation = await loadConversation(sessionId).catch(() => []);
+    const customerEmail = turn.state.verifiedEmail || turn.state.email || null;
+
+    try {
+        const { ticketId } = await ticketConnector.createTicket({
+            ref: handoff.ref,
+            sessionId,
+            subject: `Chat web: el cliente quiere hablar con una persona (#${handoff.ref})`,
+            summary: [
+                `Sesión: ${sessionId}`,
+                `Email: ${customerEmail || "desconocido"}`,
+                `Idioma: ${lang}`,
+                businessOpen === false ? "Recibida FUERA del horario laboral" : "Recibida en horario laboral",
+                `Para contestar en el chat: POST /api/admin/handoffs/${sessionId}/messages`
+            ].join("\n"),
+            transcript: formatTranscript([
+                ...(conversation.length ? conversation : turn.history),
+                { role: "user", content: turn.q, timestamp: new Date().toISOString() }
+            ]),
+            customerEmail,
+            businessOpen,
+            lang
+        });
+        handoff.ticketId = ticketId;
+    } catch (error) {
+        console.error(`❌ [${sessionId}] No se pudo abrir la incidencia (${ticketConnector.kind}):`, error.message || error);
+        return cannedReply("human", lang);
+    }
+
+    await handoffStore.save(sessionId, handoff);
+    turn.handoff = handoff;
+    console.log(`🙋 [${sessionId}] Derivación #${handoff.ref} abierta (${ticketConnector.kind}${handoff.ticketId ? `, ticket ${handoff.ticketId}` : ""}${businessOpen === false ? ", fuera de horario" : ""})`);
+    return handoffReply(businessOpen === false ? "closed" : "open", lang, { ref: handoff.ref });
+}
+
+async function agentTakeover(req, res, next) {
+    const { session_id: sessionId, q } = req.body ?? {};
+    if (!sessionId || !q) return next();
+
+    const handoff = await handoffStore.get(sessionId);
+    if (handoff?.status !== "agent") return next();
+
+    const text = String(q).slice(0, 2000);
+    addHandoffMessage(handoff, "user", text);
+    await handoffStore.save(sessionId, handoff);
+    appendToConversation(sessionId, [{ role: "user", content: text, timestamp: new Date().toISOString() }])
+        .catch(error => console.error("❌ Error guardando mensaje para el agente:", error));
+
+    res.json({ products: [], text: "", agent: { name: handoff.agent } });
+}
+
+/* ==========================================================================
+   🔔 CONFIRMACIÓN Y BAJA DE AVISOS DE REPOSICIÓN (enlaces de los emails)
+   ========================================================================== */
+app.get("/api/restock/confirm", async (req, res) => {
+    try {
+        const confirmed = await restockAlerts.confirm(req.query.token);
+        res.type("text/plain; charset=utf-8").send(confirmed
+            ? "¡Confirmado! Te avisaremos por email cuando vuelva a haber stock."
+            : "Este enlace ya no es válido (caducó, ya estaba confirmado o te diste de baja).");
+    } catch (error) {
+        res.status(502).type("text/plain; charset=utf-8").send("No hemos podido confirmar el aviso ahora mismo. Inténtalo más tarde o escribe a info@izas-outdoor.com.");
+    }
+});
+
+app.get("/api/restock/unsubscribe", async (req, res) => {
+    try {
+        const removed = await restockAlerts.unsubscribe(req.query.token);
+        res.type("text/plain; charset=utf-8").send(removed
+            ? "Listo: ya no recibirás este aviso de Izas Outdoor."
+            : "Este aviso ya no estaba activo (ya se envió o te diste de baja).");
+    } catch (error) {
+        res.status(502).type("text/plain; charset=utf-8").send("No hemos podido darte de baja ahora mismo. Inténtalo más tarde o escribe a info@izas-outdoor.com.");
+    }
+});
+
+app.get("/api/chat/handoff", async (req, res) => {
+    const sessionId = req.query.session_id;
+    if (!sessionId) return res.status(400).json({ error: "Falta session_id" });
+
+    const handoff = await handoffStore.get(String(sessionId));
+    if (!handoff) return res.json({ status: "none", messages: [] });
+
+    const after = Number(req.query.after) || 0;
+    res.json({
+        ref: handoff.ref,
+        status: handoff.status,
+        agent: handoff.agent,
+        messages: handoff.messages.filter(m => m.from === "agent" && m.id > after)
+    });
+});
+
+/* ==========================================================================
+   👋 SALUDO INICIAL (/api/chat/init)
+   ==========================================================================
+   El widget lo llama al abrir el chat por primera vez. Elegimos el saludo
+   según el contexto de la página (producto que está viendo > carrito con
+   artículos > socio con sesión > genérico) y creamos la fila de la sesión.
+   Los textos y botones se editan en greetings.json ({title}, {count}, {nivel}).
+   ========================================================================== */
+const DEFAULT_GREETING = {
+    text: "¡Hola! Soy el asistente experto de Izas. ¿En qué puedo ayudarte?",
+    choices: []
+};
+let greetings = { default: DEFAULT_GREETING };
+
+function loadGreetings() {
+    if (!fs.existsSync(GREETINGS_FILE)) return;
+    try {
+        greetings = { default: DEFAULT_GREETING, ...JSON.parse(fs.readFileSync(GREETINGS_FILE, "utf8")) };
+        console.log(`✅ Saludos cargados: ${Object.keys(greetings).join(", ")}`);
+    } catch (e) { console.error("⚠️ greetings.json inválido, se usa el saludo por defecto:", e.message); }
+}
+
+function fillTemplate(text, values) {
+    return text.replace(/\{(\w+)\}/g, (match, key) => (values[key] != null ? String(values[key]) : match));
+}
+
+function pickGreeting({ context_handle, cart_count, member_context }) {
+    const product = context_handle ? aiIndex.find(p => p.handle === context_handle) : null;
+    const cartCount = Number(cart_count) || 0;
+
+    let key = "default";
+    let values = {};
+    if (product && greetings.product) {
+        key = "product";
+        values = { title: product.title };
+    } else if (cartCount > 0 && greetings.cart) {
+        key = "cart";
+        values = { count: cartCount };
+    } else if (member_context?.nivel && greetings.member) {
+        key = "member";
+        values = { nivel: String(member_context.nivel).toUpperCase() };
+    }
+
+    const template = greetings[key] || DEFAULT_GREETING;
+    return { key, text: fillTemplate(template.text, values), choices: template.choices || [] };
+}
+
+app.post("/api/chat/init", async (req, res) => {
+    const body = req.body ?? {}; // Express 5: sin cuerpo JSON, req.body es undefined
+    const { session_id } = body;
+    const greeting = pickGreeting({ ...body, ...verifiedMember(body) });
+
+    if (session_id) {
+        // ignoreDuplicates: si la sesión ya existe (p. ej. otra pestaña) no pisamos su conversación
+        const { error } = await supabase.from('chat_sessions').upsert({
+            session_id: session_id,
+            conversation: [{ role: "assistant", content: greeting.text, timestamp: new Date().toISOString() }],
+            category: "INICIO",
+            updated_at: new Date()
+        }, { onConflict: 'session_id', ignoreDuplicates: true });
+
+        if (error) {
+            console.error("❌ Error creando sesión:", error);
+            recordDependencyError("supabase", error);
+        }
+    }
+
+    res.json({ text: greeting.text, choices: greeting.choices, context: greeting.key });
+});
+
+/* ==========================================================================
+   🩺 SALUD DEL SERVICIO (/health y /ready)
+   ==========================================================================
+   - /health: liveness. Si el proceso responde, 200 (no depende de terceros).
+   - /ready:  readiness. 503 hasta que el índice de productos tiene datos, para
+              que Render no envíe tráfico mientras loadIndexes() vectoriza.
+   ========================================================================== */
+app.get("/health", (req, res) => {
+    res.json({
+        status: "ok",
+        productsIndexed: aiIndex.length,
+        faqsIndexed: faqIndex.length,
+        uptimeSeconds: Math.round(process.uptime())
+    });
+});
+
+app.get("/ready", (req, res) => {
+    const ready = aiIndex.length > 0;
+    res.status(ready ? 200 : 503).json({
+        status: ready ? "ready" : "starting",
+        productsIndexed: aiIndex.length,
+        faqsIndexed: faqIndex.length,
+        indexing: indexLoading || syncState.running,
+        lastSyncAt: syncState.lastSuccessAt,
+        lastErrors: dependencyErrors
+    });
+});
+
+/* ==========================================================================
+   🪝 WEBHOOKS DE SHOPIFY (/api/webhooks/shopify)
+   ==========================================================================
+   Una sola URL para todos los temas (cabecera X-Shopify-Topic):
+   - products/create, products/update -> se relee el producto de Shopify y se
+     actualiza en aiIndex, Supabase y almacén vectorial (BM25 y disco, por
+     tandas: ver scheduleIndexFlush). Solo se
+     re-vectoriza si cambia el texto de buildAIText() (mismo criterio que la
+     sincronización); si no cambia nada, no se escribe nada.
+   - products/delete                   -> se quita de todo lo anterior.
+   - inventory_levels/update           -> se busca el producto del artículo de
+     inventario y se actualiza igual (stock fresco + avisos de reposición).
+   Se responde 200 en cuanto la firma es válida y el trabajo sigue en cola:
+   Shopify da por fallido un webhook que tarda más de 5 s.
+   ========================================================================== */
+const webhookState = { received: 0, duplicates: 0, processed: 0, failed: 0, lastEventAt: null, lastError: null };
+const webhookDeduper = createWebhookDeduper();
+const webhookQueue = createWebhookQueue({
+    onError: (error, key) => {
+        webhookState.failed++;
+        webhookState.lastError = `${key}: ${error.message || error}`;
+        console.error(`❌ Webhook ${key} falló:`, error.message || error);
+    }
+});
+
+// Relee un producto de Shopify y lo deja al día en el índice (o lo quita si ya no está activo)
+async function refreshProductFromShopify(productId) {
+    const id = String(productId);
+    // Una sincronización en curso sustituirá aiIndex al acabar: esperamos para no perder este cambio
+    if (syncPromise) await syncPromise.catch(() => { });
+    if (aiIndex.length === 0) {
+        console.log(`🪝 Producto ${id}: el índice aún no está cargado, lo recogerá la carga inicial.`);
+        return;
+    }
+
+    const product = await getProductById(id);
+    liveStockCache.invalidate([id]);
+    if (!product) return removeProductFromIndex(id);
+
+    const prev = aiIndexById.get(id);
+    const entry = { ...product, contentHash: hashText(buildAIText(product)) };
+    entry.dataHash = dataHash(entry);
+
+    const hasEmbedding = prev && Array.isArray(prev.embedding);
+    if (hasEmbedding && prev.dataHash === entry.dataHash) {
+        console.log(`🪝 Producto ${id} (${entry.title}) sin cambios.`);
+        return;
+    }
+
+    const reembed = !hasEmbedding || contentHash(prev) !== entry.contentHash;
+    entry.embedding = reembed ? (await embedTexts([buildAIText(entry)]))[0] : prev.embedding;
+
+    upsertAiIndexEntry(entry);
+    const saved = await saveIndexRows([entry]);
+    if (!saved) entry.dataHash = null; // Así la próxima sincronización lo vuelve a escribir en Supabase
+    if (reembed) {
+        try {
+            await vectorStore.upsert([entry]);
+        } catch (error) {
+            console.error(`❌ Error actualizando almacén vectorial (${vectorStore.kind}):`, error.message || error);
+            if (vectorStore.kind === "pgvector") recordDependencyError("supabase", error);
+        }
+    }
+    console.log(`🪝 Producto ${id} (${entry.title}) ${prev ? "actualizado" : "añadido"}${reembed ? " y re-vectorizado" : ""}.`);
+
+    // 🔔 Alguna variante vuelve a tener stock: avisos de reposición sin esperar a la sincronización
+    const wasInStock = new Set((prev?.variants || []).filter(variantInStock).map(v => String(v.id)));
+    if (entry.variants.some(v => variantInStock(v) && !wasInStock.has(String(v.id)))) {
+        await restockAlerts.notifyRestocked([entry]).catch(error => {
+            console.error("❌ Error revisando avisos de reposición:", error.message || error);
+        });
+    }
+    // En memoria ya está al día, pero la copia de Supabase no: cuenta como fallido
+    if (!saved) throw new Error(`No se pudo guardar el producto ${id} en Supabase`);
+}
+
+async function removeProductFromIndex(productId) {
+    const id = String(productId);
+    if (syncPromise) await syncPromise.catch(() => { });
+    liveStockCache.invalidate([id]);
+    if (!aiIndexById.has(id)) return;
+
+    removeAiIndexEntry(id);
+    await vectorStore.remove([id]);
+    if (!(await deleteIndexRows([id]))) throw new Error(`No se pudo borrar el producto ${id} de Supabase`);
+    console.log(`🪝 Producto ${id} eliminado del índice.`);
+}
+
+// inventory_levels/update solo trae el artículo de inventario: buscamos su producto
+async function productIdForInventoryItem(inventoryItemId) {
+    const query = `
+    query getInventoryItem($id: ID!) {
+      inventoryItem(id: $id) { variant { product { id } } }
+    }
+    `;
+    const data = await fetchGraphQL(query, { id: `gid://shopify/InventoryItem/${inventoryItemId}` });
+    return data?.inventoryItem?.variant?.product?.id?.split("/").pop() || null;
+}
+
+const WEBHOOK_HANDLERS = {
+    "products/create": payload => ({ key: `product:${payload.id}`, task: () => refreshProductFromShopify(payload.id) }),
+    "products/update": payload => ({ key: `product:${payload.id}`, task: () => refreshProductFromShopify(payload.id) }),
+    "products/delete": payload => ({ key: `delete:${payload.id}`, task: () => removeProductFromIndex(payload.id) }),
+    "inventory_levels/update": payload => ({
+        key: `inventory:${payload.inventory_item_id}`,
+        task: async () => {
+            const productId = await productIdForInventoryItem(payload.inventory_item_id);
+            if (productId) await refreshProductFromShopify(productId);
+        }
+    })
+};
+
+app.post("/api/webhooks/shopify", (req, res) => {
+    if (!SHOPIFY_WEBHOOK_SECRET) return res.status(503).json({ error: "Webhooks desactivados (falta SHOPIFY_WEBHOOK_SECRET)" });
+    if (!verifyShopifyHmac(req.body, req.get("x-shopify-hmac-sha256"), SHOPIFY_WEBHOOK_SECRET)) {
+        console.warn(`🚫 Webhook con firma inválida desde ${req.ip}`);
+        return res.status(401).json({ error: "Firma inválida" });
+    }
+
+    const topic = req.get("x-shopify-topic");
+    const webhookId = req.get("x-shopify-webhook-id");
+    webhookState.received++;
+    webhookState.lastEventAt = new Date().toISOString();
+    if (webhookDeduper.seen(webhookId)) {
+        webhookState.duplicates++;
+        return res.json({ ok: true, duplicate: true });
+    }
+
+    const handler = WEBHOOK_HANDLERS[topic];
+    if (!handler) return res.json({ ok: true, ignored: topic || null });
+
+    let payload;
+    try {
+        payload = JSON.parse(req.body.toString("utf8"));
+    } catch {
+        return res.status(400).json({ error: "JSON inválido" });
+    }
+    if (!payload.id && !payload.inventory_item_id) return res.status(400).json({ error: "Falta el id" });
+
+    const { key, task } = handler(payload);
+    const queued = webhookQueue.enqueue(key, async () => {
+        try {
+            await task();
+        } catch (error) {
+            webhookDeduper.forget(webhookId); // Si Shopify lo reintenta, que entre
+            throw error;
+        }
+        webhookState.processed++;
+    });
+    webhookDeduper.remember(webhookId);
+    console.log(`🪝 Webhook ${topic} (${key})${queued ? "" : " ya estaba en cola"}`);
+    res.json({ ok: true });
+});
+
+/* ==========================================================================
+   🔐 API DE ADMINISTRACIÓN (/api/admin/*)
+   ==========================================================================
+   Protegida con la cabecera "x-admin-token" (= variable ADMIN_TOKEN).
+   - POST /reindex         -> Reconstrucción completa (re-vectoriza todo).
+   - POST /sync            -> Sincronización incremental.
+   - POST /faqs/reload     -> Recarga y re-vectoriza faqs.json.
+   - GET  /status          -> Estado de la última sincronización y del índice.
+   - GET  /products/:ref   -> Producto indexado por ID o handle.
+   - GET  /handoffs                       -> Derivaciones abiertas o con agente.
+   - GET  /handoffs/:sessionId            -> Derivación + conversación completa.
+   - POST /handoffs/:sessionId/takeover   -> { agent }: el agente toma el chat.
+   - POST /handoffs/:sessionId/messages   -> { text, agent }: mensaje al cliente.
+   - POST /handoffs/:sessionId/release    -> Cierra la derivación: vuelve el bot.
+   - GET  /restock         -> Variantes agotadas con clientes esperando aviso.
+   Las sincronizaciones tardan: por defecto responden 202 y siguen en segundo
+   plano. Con "?wait=true" se espera al resultado.
+   ========================================================================== */
+const adminRouter = express.Router();
+
+// Compara tokens en tiempo constante (hasheamos para igualar longitudes)
+function safeTokenEquals(a, b) {
+    const ha = crypto.createHash("sha256").update(String(a)).digest();
+    const hb = crypto.createHash("sha256").update(String(b)).digest();
+    return crypto.timingSafeEqual(ha, hb);
+}
+
+adminRouter.use((req, res, next) => {
+    if (!ADMIN_TOKEN) return res.status(503).json({ error: "Panel de administración desactivado (falta ADMIN_TOKEN)" });
+
+    const token = req.get("x-admin-token");
+    if (!token || !safeTokenEquals(token, ADMIN_TOKEN)) {
+        console.warn(`🚫 Acceso admin rechazado desde ${req.ip} a ${req.originalUrl}`);
+        return res.status(401).json({ error: "No autorizado" });
+    }
+    next();
+});
+
+// Lanza una sincronización y responde según ?wait
+async function respondWithSync(req, res, full) {
+    if (syncState.running) {
+        return res.status(409).json({ error: "Ya hay una sincronización en curso", sync: syncState });
+    }
+
+    const job = syncCatalog({ full });
+    if (req.query.wait === "true") {
+        try {
+            return res.json({ status: "ok", result: await job });
+        } catch (error) {
+            return res.status(502).json({ error: "La sincronización ha fallado", detail: error.message });
+        }
+    }
+
+    job.catch(() => { /* ya registrado en syncState */ });
+    res.status(202).json({ status: "started", mode: full ? "full" : "incremental" });
+}
+
+adminRouter.post("/reindex", (req, res) => respondWithSync(req, res, true));
+adminRouter.post("/sync", (req, res) => respondWithSync(req, res, false));
+
+adminRouter.post("/faqs/reload", async (req, res) => {
+    try {
+        const faqs = await loadFaqs();
+        res.json({ status: "ok", faqsIndexed: faqs.length });
+    } catch (error) {
+        res.status(502).json({ error: "No se han podido recargar las FAQs", detail: error.message, faqsIndexed: faqIndex.length });
+    }
+});
+
+adminRouter.get("/status", (req, res) => {
+    res.json({
+        productsIndexed: aiIndex.length,
+        faqsIndexed: faqIndex.length,
+        syncIntervalMs: SYNC_INTERVAL_MS,
+        sync: syncState,
+        liveStock: liveStockCache.stats(),
+        webhooks: { ...webhookState, queued: webhookQueue.size() },
+        openaiBudget: dailyBudget.snapshot(),
+        uptimeSeconds: Math.round(process.uptime())
+    });
+});
+
+adminRouter.get("/products/:ref", (req, res) => {
+    const ref = String(req.params.ref).trim();
+    const product = aiIndex.find(p => String(p.id) === ref || p.handle === ref);
+    if (!product) return res.status(404).json({ error: "Producto no indexado" });
+
+    // El embedding no aporta nada a la vista y pesa mucho: solo devolvemos su tamaño
+    const { embedding, ...data } = product;
+    res.json({
+        product: data,
+        embeddingDims: Array.isArray(embedding) ? embedding.length : 0,
+        aiText: buildAIText(product)
+    });
+});
+
+adminRouter.get("/restock", async (req, res) => {
+    try {
+        res.json({ variants: await restockAlerts.pendingByVariant() });
+    } catch (error) {
+        res.status(502).json({ error: "No se pudieron leer los avisos de reposición" });
+    }
+});
+
+adminRouter.get("/handoffs", async (req, res) => {
+    try {
+        const handoffs = await handoffStore.listActive();
+        res.json({ handoffs: handoffs.map(({ messages, ...h }) => ({ ...h, messageCount: messages.length })) });
+    } catch (error) {
+        res.status(502).json({ error: "No se pudieron leer las derivaciones" });
+    }
+});
+
+adminRouter.get("/handoffs/:sessionId", async (req, res) => {
+    const handoff = await handoffStore.get(req.params.sessionId);
+    if (!handoff) return res.status(404).json({ error: "Derivación no encontrada" });
+    res.json({ handoff, conversation: await loadConversation(req.params.sessionId).catch(() => null) });
+});
+
+// Sin derivación previa también vale: el agente puede entrar en cualquier chat
+async function takeOver(sessionId, agent) {
+    const handoff = (await handoffStore.get(sessionId)) || newHandoff({ connector: "admin", businessOpen: null });
+    handoff.status = "agent";
+    handoff.agent = String(agent || handoff.agent || "Equipo Izas").slice(0, 60);
+    return handoff;
+}
+
+adminRouter.post("/handoffs/:sessionId/takeover", async (req, res) => {
+    const handoff = await takeOver(req.params.sessionId, req.body?.agent);
+    await handoffStore.save(req.params.sessionId, handoff);
+    console.log(`🙋 [${req.params.sessionId}] ${handoff.agent} toma la conversación`);
+    res.json({ handoff });
+});
+
+adminRouter.post("/handoffs/:sessionId/messages", async (req, res) => {
+    const text = String(req.body?.text || "").trim();
+    if (!text) return res.status(400).json({ error: "Falta text" });
+
+    const handoff = await takeOver(req.params.sessionId, req.body?.agent);
+    const message = addHandoffMessage(handoff, "agent", text);
+    await handoffStore.save(req.params.sessionId, handoff);
+    appendToConversation(req.params.sessionId, [{ role: "agent", content: `${handoff.agent}: ${text}`, timestamp: message.at }])
+        .catch(error => console.error("❌ Error guardando mensaje del agente:", error));
+    res.json({ message });
+});
+
+adminRouter.post("/handoffs/:sessionId/release", async (req, res) => {
+    const handoff = await handoffStore.get(req.params.sessionId);
+    if (!handoff) return res.status(404).json({ error: "Derivación no encontrada" });
+    handoff.status = "closed";
+    await handoffStore.save(req.params.sessionId, handoff);
+    console.log(`🙋 [${req.params.sessionId}] Derivación #${handoff.ref} cerrada, vuelve el bot`);
+    res.json({ handoff });
+});
+
+app.use("/api/admin", adminRouter);
+
+/* ==========================================================================
+   🧯 ERRORES GENERALES
+   ==========================================================================
+   Cualquier error que llegue aquí (CORS, JSON mal formado...) se responde con
+   el mismo formato { error } que el resto de endpoints, nunca con HTML.
+   ========================================================================== */
+app.use((req, res) => {
+    res.status(404).json({ error: "Ruta no encontrada" });
+});
+
+app.use((err, req, res, next) => {
+    if (res.headersSent) return next(err);
+
+    const status = err.status || err.statusCode || 500;
+    if (status >= 500) console.error("❌ Error no controlado:", err);
+
+    let message = "Error interno";
+    if (status === 403) message = err.message || "Acceso denegado";
+    else if (err.type === "entity.parse.failed") message = "JSON inválido";
+    else if (err.type === "entity.too.large") message = "Petición demasiado grande";
+    else if (status < 500) message = err.message || "Petición inválida";
+
+    res.status(status).json({ error: message });
+});
+
 /* ==========================================================================
    🚀 INICIO DEL SERVIDOR
    ========================================================================== */
 app.listen(PORT, async () => {
     console.log(`🚀 Server en http://localhost:${PORT}`);
+    console.log(`🌐 Orígenes permitidos: ${ALLOWED_ORIGINS.join(", ")}${IS_DEVELOPMENT ? " (+ localhost, modo desarrollo)" : ""}`);
+    if (!MEMBERS_TOKEN_SECRET) console.warn("🎖️ MEMBERS_TOKEN_SECRET sin configurar: todos los clientes se tratan como anónimos.");
     // Lanzamos la indexación en segundo plano (No usamos await para no bloquear el arranque en Render)
+    loadGreetings();
     loadIndexes().catch(err => console.error("⚠️ Error en carga inicial:", err));
+    scheduleCatalogSync();
 
 });
\ No newline at end of file
@@ -0,0 +1,132 @@
+/* ==========================================================================
+   🧩 ESTADO DE LA CONVERSACIÓN (POR SESIÓN)
+   ==========================================================================
+   En vez de rebuscar con regex en todo el historial ("¿hay algún número de
+   4 cifras por ahí?", que pillaba precios y códigos postales), cada sesión
+   tiene un pequeño objeto de estado que se actualiza en cada turno:
+
+     { orderId, email, verifiedEmail, pendingQuestion,
+       productFocus: { id, title, handle }, size, color, measurements, updatedAt }
+
+   - pendingQuestion: lo que el bot acaba de pedir ("order_id" | "email" | "otp" |
+     "restock_email").
+     Solo entonces aceptamos un número o un email "a pelo" como respuesta.
+   - measurements: altura, peso, pecho... que ha dado el cliente (sizing.js),
+     para no volver a pedirlas en cada producto.
+   - Se guarda en Supabase (tabla chat_state) con una caché en memoria, así
+     los turnos seguidos de la misma sesión no esperan a la base de datos.
+   ========================================================================== */
+import { describeMeasurements } from "./sizing.js";
+
+const CACHE_TTL_MS = 30 * 60 * 1000; // Sesiones sin actividad en 30 min salen de la caché
+const MAX_CACHED = 5000;
+
+export function emptyState() {
+    return {
+        orderId: null,
+        email: null,
+        verifiedEmail: null,
+        pendingQuestion: null,
+        productFocus: null,
+        size: null,
+        color: null,
+        measurements: null,
+        updatedAt: null
+    };
+}
+
+// Número de pedido y email que aparecen EN ESTE mensaje (no en el historial).
+// Un número solo cuenta si va con contexto ("pedido 12345", "#12345") o si
+// estábamos esperando precisamente el número de pedido.
+export function readOrderMentions(text, pendingQuestion = null) {
+    const message = String(text || "").trim();
+
+    let email = message.match(/[\w.+-]+@[\w.-]+\.\w+/)?.[0] || null;
+    if (email && email.toLowerCase().includes("izas-outdoor.com")) email = null;
+
+    let orderId = message.match(/#\s?(\d{4,})\b/)?.[1]
+        || message.match(/(?:\b(?:pedido|order|orden|encomenda|commande|n[uú]mero|nro)\b|\bn[º°])[^\d€\n]{0,20}?(\d{4,})\b(?!\s*(?:€|eur))/i)?.[1]
+        || null;
+    if (!orderId && pendingQuestion === "order_id") {
+        orderId = message.match(/^\D{0,20}?(\d{4,})\D{0,20}$/)?.[1] || null;
+    }
+
+    return { orderId, email: email ? email.toLowerCase() : null };
+}
+
+// Resumen legible para el prompt
+export function describeState(state) {
+    if (!state) return "Sin datos previos";
+    const parts = [];
+    if (state.productFocus) parts.push(`Producto en foco: ${state.productFocus.title} (ID ${state.productFocus.id})`);
+    if (state.size) parts.push(`Talla elegida: ${state.size.toUpperCase()}`);
+    if (state.color) parts.push(`Color elegido: ${state.color}`);
+    if (state.measurements && Object.keys(state.measurements).length) parts.push(`Medidas del cliente: ${describeMeasurements(state.measurements)}`);
+    if (state.orderId) parts.push(`Pedido activo: #${state.orderId}`);
+    if (state.verifiedEmail) parts.push("Email del pedido verificado");
+    else if (state.email) parts.push("Email facilitado (sin verificar)");
+    if (state.pendingQuestion === "order_id") parts.push("Pendiente: el cliente debe dar el número de pedido");
+    if (state.pendingQuestion === "email") parts.push("Pendiente: el cliente debe dar el email de la compra");
+    if (state.pendingQuestion === "otp") parts.push("Pendiente: el cliente debe escribir el código enviado a su email");
+    if (state.pendingQuestion === "restock_email") parts.push("Pendiente: el cliente debe dar el email para el aviso de reposición");
+    return parts.length ? parts.join(" | ") : "Sin datos previos";
+}
+
+// Almacén de estados: Supabase + caché en memoria. Si Supabase falla, la
+// conversación sigue con lo que haya en memoria (onError avisa a /ready).
+export function createSessionStateStore(supabase, { table = "chat_state", onError = () => { } } = {}) {
+    const cache = new Map(); // sessionId -> { state, touchedAt }
+
+    function remember(sessionId, state) {
+        cache.delete(sessionId); // Reinsertar = mover al final (orden de uso)
+        cache.set(sessionId, { state, touchedAt: Date.now() });
+        if (cache.size > MAX_CACHED) cache.delete(cache.keys().next().value);
+    }
+
+    async function get(sessionId) {
+        if (!sessionId) return emptyState();
+
+        const cached = cache.get(sessionId);
+        if (cached && Date.now() - cached.touchedAt < CACHE_TTL_MS) return { ...cached.state };
+
+        const { data, error } = await supabase
+            .from(table)
+            .select("state")
+            .eq("session_id", sessionId)
+            .maybeSingle();
+        if (error) {
+            console.error("❌ Error leyendo estado de sesión:", error.message || error);
+            onError(error);
+            return cached ? { ...cached.state } : emptyState();
+        }
+
+        const state = { ...emptyState(), ...(data?.state || {}) };
+        remember(sessionId, state);
+        return { ...state };
+    }
+
+    async function save(sessionId, state) {
+        if (!sessionId) return;
+        const next = { ...state, updatedAt: new Date().toISOString() };
+        remember(sessionId, next);
+
+        const { error } = await supabase
+            .from(table)
+            .upsert({ session_id: sessionId, state: next, updated_at: next.updatedAt }, { onConflict: "session_id" });
+        if (error) {
+            console.error("❌ Error guardando estado de sesión:", error.message || error);
+            onError(error);
+        }
+    }
+
+    // Limpieza periódica de la caché
+    const cleanup = setInterval(() => {
+        const limit = Date.now() - CACHE_TTL_MS;
+        for (const [key, entry] of cache) {
+            if (entry.touchedAt < limit) cache.delete(key);
+        }
+    }, CACHE_TTL_MS);
+    cleanup.unref();
+
+    return { get, save, size: () => cache.size };
+}
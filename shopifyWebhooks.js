@@ -0,0 +1,76 @@
+/* ==========================================================================
+   🪝 WEBHOOKS DE SHOPIFY (CATÁLOGO E INVENTARIO)
+   ==========================================================================
+   Shopify avisa de cada cambio (products/create, products/update,
+   products/delete, inventory_levels/update) y el índice se actualiza al
+   momento, sin esperar a la sincronización periódica.
+
+   - verifyShopifyHmac(): la firma X-Shopify-Hmac-Sha256 es el HMAC-SHA256
+     (base64) del cuerpo CRUDO con el secreto de los webhooks. Por eso la ruta
+     recibe el body sin parsear (express.raw).
+   - createWebhookDeduper(): Shopify reintenta y a veces entrega dos veces el
+     mismo evento (X-Shopify-Webhook-Id): los repetidos se ignoran. Un evento
+     solo cuenta como visto cuando ya está en cola (y se olvida si falla), para
+     que el reintento de uno que no llegamos a procesar sí entre.
+   - createWebhookQueue(): los eventos se procesan de uno en uno y, si ya hay
+     uno pendiente para el mismo producto, no se encola otro (el pendiente
+     volverá a leer el producto de Shopify y verá el último cambio). Así una
+     ráfaga de 30 cambios de inventario = una o dos consultas.
+   ========================================================================== */
+import crypto from "crypto";
+
+export function verifyShopifyHmac(rawBody, hmacHeader, secret) {
+    if (!secret || !hmacHeader || !Buffer.isBuffer(rawBody)) return false;
+    const expected = crypto.createHmac("sha256", secret).update(rawBody).digest();
+    let received;
+    try {
+        received = Buffer.from(String(hmacHeader), "base64");
+    } catch {
+        return false;
+    }
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+// seen(id) -> true si ese webhook se anotó con remember(id) en los últimos `ttlMs`
+export function createWebhookDeduper({ ttlMs = 10 * 60 * 1000, maxEntries = 5000 } = {}) {
+    const seenAt = new Map(); // webhookId -> timestamp
+
+    function seen(id) {
+        const previous = id && seenAt.get(id);
+        return Boolean(previous && Date.now() - previous < ttlMs);
+    }
+
+    function remember(id) {
+        if (!id) return;
+        seenAt.set(id, Date.now());
+        if (seenAt.size > maxEntries) seenAt.delete(seenAt.keys().next().value);
+    }
+
+    function forget(id) {
+        seenAt.delete(id);
+    }
+
+    return { seen, remember, forget };
+}
+
+// enqueue(key, task): tareas en serie; una sola pendiente por clave. onError recibe los fallos.
+export function createWebhookQueue({ onError = () => { } } = {}) {
+    const pending = new Set();
+    let tail = Promise.resolve();
+
+    function enqueue(key, task) {
+        if (pending.has(key)) return false;
+        pending.add(key);
+        tail = tail.then(async () => {
+            pending.delete(key); // Desde aquí, un cambio nuevo sí necesita otra pasada
+            try {
+                await task();
+            } catch (error) {
+                onError(error, key);
+            }
+        });
+        return true;
+    }
+
+    return { enqueue, size: () => pending.size, idle: () => tail };
+}
@@ -0,0 +1,311 @@
+/* ==========================================================================
+   📏 RECOMENDADOR DE TALLAS (GUÍA DE TALLAS + MEDIDAS DEL CLIENTE)
+   ==========================================================================
+   Lee la tabla de medidas de los metafields del producto (los que ya trae
+   getAllProducts) y la cruza con lo que el cliente cuenta en el chat:
+
+     { height: 175, weight: 70, chest: 98 }  +  guía de la Naluns
+       -> { size: "L", confidence: "alta", alternative: "XL", ... }
+
+   - Formatos de guía admitidos: JSON (lista de filas o objeto por talla) o
+     una tabla HTML (tallas en filas o en columnas). Valores "96-100", "96"
+     o "1,70 - 1,76".
+   - Medidas: altura (cm), peso (kg), pecho, cintura, cadera (cm) y largo
+     de pie (cm, para calzado).
+   - Confianza: "alta" si todas las medidas caen dentro de la misma talla
+     (con al menos una medida corporal, o altura + peso); "media" si alguna
+     encaja o se queda muy cerca; "baja" si el cliente está fuera de la tabla.
+   - El stock NO se mira aquí: stockForSize() lo cruza con las variantes que
+     ya vienen actualizadas en vivo.
+   ========================================================================== */
+import { normalizeSize, variantOption, matchesColor, variantInStock } from "./filters.js";
+
+export const MEASURES = ["chest", "waist", "hip", "height", "weight", "foot"];
+
+export const MEASURE_LABELS = {
+    chest: "pecho",
+    waist: "cintura",
+    hip: "cadera",
+    height: "altura",
+    weight: "peso",
+    foot: "largo de pie"
+};
+const MEASURE_UNITS = { chest: "cm", waist: "cm", hip: "cm", height: "cm", weight: "kg", foot: "cm" };
+
+// Cabecera de la guía -> medida. Se comprueban en este orden ("contorno de cintura" no es pecho).
+const MEASURE_ALIASES = [
+    ["waist", /\b(cintura|waist|tour de taille)\b/],
+    ["hip", /\b(caderas?|hips?|hanches?|quadril|anca)\b/],
+    ["foot", /\b(pie|pies|foot|feet|pied|pe|plantilla|insole)\b/],
+    ["chest", /\b(pecho|torax|busto|chest|bust|poitrine|peito)\b/],
+    ["height", /\b(altura|estatura|height|stature)\b/],
+    ["weight", /\b(peso|weight|poids)\b/]
+];
+const SIZE_HEADER = /\b(talla|tallas|size|sizes|taille|tamanho)\b/;
+const GUIDE_KEY = /guia|guide|talla|size|medida|chart|tabla/i;
+
+// Rango razonable de cada medida (lo de fuera se descarta, no se adivina)
+const VALID_RANGES = {
+    chest: [40, 180],
+    waist: [40, 180],
+    hip: [50, 180],
+    height: [50, 230],
+    weight: [10, 250],
+    foot: [10, 35]
+};
+// Peso de cada medida al comparar: las medidas corporales mandan sobre altura/peso
+const MEASURE_WEIGHTS = { chest: 1, waist: 1, hip: 1, foot: 1, height: 0.6, weight: 0.6 };
+const DIRECT_MEASURES = new Set(["chest", "waist", "hip", "foot"]);
+const NEAR_MISS = 0.04; // 4% fuera del rango aún cuenta como "casi"
+
+function fold(text) {
+    return String(text || "")
+        .toLowerCase()
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .replace(/\s+/g, " ")
+        .trim();
+}
+
+function measureForHeader(header) {
+    const h = fold(header);
+    return MEASURE_ALIASES.find(([, pattern]) => pattern.test(h))?.[0] || null;
+}
+
+// Altura en metros -> cm, pie en mm -> cm
+function toUnit(measure, value) {
+    if (measure === "height" && value < 3) return Math.round(value * 100);
+    if (measure === "foot" && value > 100) return value / 10;
+    return value;
+}
+
+// "96-100" -> [96, 100] | "96" -> [96, 96] | [96, 100] -> [96, 100]
+function parseRange(measure, raw) {
+    const numbers = Array.isArray(raw)
+        ? raw.map(Number)
+        : (String(raw ?? "").replace(/(\d),(\d)/g, "$1.$2").match(/\d+(?:\.\d+)?/g) || []).map(Number);
+    const values = numbers.filter(n => Number.isFinite(n) && n > 0).map(n => toUnit(measure, n));
+    if (values.length === 0) return null;
+    return [Math.min(...values), Math.max(...values)];
+}
+
+/* --------------------------------------------------------------------------
+   LECTURA DE LA GUÍA
+   -------------------------------------------------------------------------- */
+
+function stripTags(html) {
+    return String(html)
+        .replace(/<[^>]+>/g, " ")
+        .replace(/&nbsp;/g, " ")
+        .replace(/&amp;/g, "&")
+        .replace(/\s+/g, " ")
+        .trim();
+}
+
+// Tabla HTML -> matriz de celdas de texto
+function htmlTableCells(html) {
+    const rows = String(html).match(/<tr[\s\S]*?<\/tr>/gi) || [];
+    return rows
+        .map(row => (row.match(/<t[hd][^>]*>[\s\S]*?<\/t[hd]>/gi) || []).map(stripTags))
+        .filter(cells => cells.length > 1);
+}
+
+// Matriz -> filas { size, ranges }. Acepta tallas en filas (lo normal) o en columnas.
+function rowsFromMatrix(cells) {
+    if (cells.length < 2) return [];
+    const header = cells[0];
+
+    const columnMeasures = header.map(measureForHeader);
+    if (columnMeasures.some(Boolean)) {
+        return cells.slice(1).map(row => ({
+            size: row[0],
+            ranges: Object.fromEntries(columnMeasures
+                .map((measure, i) => [measure, measure && i > 0 ? parseRange(measure, row[i]) : null])
+                .filter(([measure, range]) => measure && range))
+        }));
+    }
+
+    // Traspuesta: la primera columna son las medidas y la cabecera las tallas
+    const rowMeasures = cells.slice(1).map(row => [measureForHeader(row[0]), row]);
+    return header.slice(1).map((size, i) => ({
+        size,
+        ranges: Object.fromEntries(rowMeasures
+            .map(([measure, row]) => [measure, measure ? parseRange(measure, row[i + 1]) : null])
+            .filter(([measure, range]) => measure && range))
+    }));
+}
+
+// Fila JSON { talla: "M", pecho: "96-100", ... } -> { size, ranges }
+function rowFromObject(object, fallbackSize = null) {
+    let size = fallbackSize;
+    const ranges = {};
+    for (const [key, value] of Object.entries(object || {})) {
+        const measure = measureForHeader(key); // Antes que la talla: "tour de taille" es cintura
+        if (measure) {
+            const range = parseRange(measure, value);
+            if (range) ranges[measure] = range;
+        } else if (!fallbackSize && SIZE_HEADER.test(fold(key))) {
+            size = String(value);
+        }
+    }
+    return { size, ranges };
+}
+
+function rowsFromValue(value) {
+    if (typeof value === "string") return /<table/i.test(value) ? rowsFromMatrix(htmlTableCells(value)) : [];
+    if (Array.isArray(value)) {
+        // [["Talla", "Pecho"], ["S", "88-92"]] o [{ talla: "S", pecho: "88-92" }]
+        if (value.every(Array.isArray)) return rowsFromMatrix(value.map(row => row.map(String)));
+        return value.filter(v => v && typeof v === "object").map(v => rowFromObject(v));
+    }
+    if (value && typeof value === "object") {
+        const nested = value.sizes || value.tallas || value.rows || value.table;
+        if (nested) return rowsFromValue(nested);
+        // { "S": { pecho: "88-92" }, "M": { ... } }
+        return Object.entries(value)
+            .filter(([, v]) => v && typeof v === "object" && !Array.isArray(v))
+            .map(([size, v]) => rowFromObject(v, size));
+    }
+    return [];
+}
+
+const round1 = n => Math.round(n * 10) / 10;
+
+// Si una columna trae un solo valor por talla (pecho 96, 100, 104...), cada talla
+// cubre hasta la mitad del hueco con sus vecinas.
+function widenPointValues(rows) {
+    for (const measure of MEASURES) {
+        const withMeasure = rows.filter(r => r.ranges[measure]);
+        if (withMeasure.length < 2 || withMeasure.some(r => r.ranges[measure][0] !== r.ranges[measure][1])) continue;
+        const points = withMeasure.map(r => r.ranges[measure][0]);
+        withMeasure.forEach((row, i) => {
+            const below = i > 0 ? (points[i] - points[i - 1]) / 2 : (points[1] - points[0]) / 2;
+            const above = i < points.length - 1 ? (points[i + 1] - points[i]) / 2 : below;
+            row.ranges[measure] = [round1(points[i] - Math.abs(below)), round1(points[i] + Math.abs(above))];
+        });
+    }
+    return rows;
+}
+
+/**
+ * Guía de tallas del producto a partir de sus metafields, o null si no tiene.
+ * { source: "namespace.key", measures: ["chest", ...], rows: [{ size, ranges: { chest: [96, 100] } }] }
+ */
+export function findSizeChart(metafields = {}) {
+    for (const [key, value] of Object.entries(metafields || {})) {
+        if (!GUIDE_KEY.test(key)) continue;
+        const rows = rowsFromValue(value)
+            .map(r => ({ size: String(r.size || "").trim(), ranges: r.ranges }))
+            .filter(r => r.size && Object.keys(r.ranges).length > 0);
+        if (rows.length < 2) continue;
+
+        widenPointValues(rows);
+        const measures = MEASURES.filter(m => rows.some(r => r.ranges[m]));
+        return { source: key, measures, rows };
+    }
+    return null;
+}
+
+/* --------------------------------------------------------------------------
+   RECOMENDACIÓN
+   -------------------------------------------------------------------------- */
+
+// Limpia lo que llega del chat: números, unidades y rangos válidos. Ignora el resto.
+export function normalizeMeasurements(input = {}) {
+    const measurements = {};
+    for (const measure of MEASURES) {
+        const raw = input?.[measure];
+        if (raw == null || raw === "") continue;
+        const value = toUnit(measure, Number(String(raw).replace(",", ".").replace(/[^\d.]/g, "")));
+        const [min, max] = VALID_RANGES[measure];
+        if (Number.isFinite(value) && value >= min && value <= max) measurements[measure] = value;
+    }
+    return measurements;
+}
+
+// "175 cm, 70 kg, pecho 98 cm"
+export function describeMeasurements(measurements = {}) {
+    return MEASURES
+        .filter(m => measurements?.[m] != null)
+        .map(m => `${MEASURE_LABELS[m]} ${measurements[m]} ${MEASURE_UNITS[m]}`)
+        .join(", ");
+}
+
+// 0 si el valor cae en el rango; si no, lo que se sale en proporción al valor
+function deviation(value, [min, max]) {
+    if (value < min) return (min - value) / value;
+    if (value > max) return (value - max) / value;
+    return 0;
+}
+
+/**
+ * { size, confidence: "alta"|"media"|"baja", alternative, used, fits, outOfRange } o null
+ * si la guía no tiene ninguna de las medidas que ha dado el cliente.
+ */
+export function recommendSize(chart, measurements = {}) {
+    if (!chart) return null;
+    const used = chart.measures.filter(m => measurements[m] != null);
+    if (used.length === 0) return null;
+
+    const scored = chart.rows.map((row, index) => {
+        let score = 0;
+        const fits = [];
+        for (const measure of used) {
+            const range = row.ranges[measure];
+            if (!range) {
+                score += MEASURE_WEIGHTS[measure]; // Talla sin ese dato: penaliza pero no descarta
+                continue;
+            }
+            const dev = deviation(measurements[measure], range);
+            if (dev === 0) fits.push(measure);
+            score += dev * MEASURE_WEIGHTS[measure];
+        }
+        return { row, index, score, fits };
+    });
+    const best = [...scored].sort((a, b) => a.score - b.score || a.index - b.index)[0];
+
+    // Entre dos tallas: la vecina también encaja en alguna medida, o el cliente está en el borde
+    const neighbours = [scored[best.index - 1], scored[best.index + 1]].filter(Boolean);
+    const onEdge = used.some(m => {
+        const range = best.row.ranges[m];
+        return range && range[1] > range[0] && range[1] - measurements[m] <= (range[1] - range[0]) * 0.1;
+    });
+    const alternative = neighbours.find(n => n.fits.length > 0 && n.score - best.score < NEAR_MISS)
+        || (onEdge ? scored[best.index + 1] : null);
+
+    const outOfRange = used.filter(m => !best.fits.includes(m));
+    const maxDeviation = Math.max(0, ...outOfRange.map(m => best.row.ranges[m] ? deviation(measurements[m], best.row.ranges[m]) : 1));
+    const fitsAll = outOfRange.length === 0;
+    const strongEvidence = used.some(m => DIRECT_MEASURES.has(m)) || (used.includes("height") && used.includes("weight"));
+
+    let confidence = "baja";
+    if (fitsAll && strongEvidence) confidence = "alta";
+    else if (best.fits.length > 0 || maxDeviation <= NEAR_MISS) confidence = "media";
+
+    return {
+        size: best.row.size,
+        confidence,
+        alternative: alternative ? alternative.row.size : null,
+        used,
+        fits: best.fits,
+        outOfRange
+    };
+}
+
+/* --------------------------------------------------------------------------
+   CRUCE CON EL STOCK
+   -------------------------------------------------------------------------- */
+
+// Colores con stock de una talla (con las variantes ya refrescadas en vivo).
+// { exists, colors: [...], colorAvailable } — colorAvailable solo si se pasa color.
+export function stockForSize(product, size, color = null) {
+    const target = normalizeSize(size);
+    const variants = (product?.variants || []).filter(v => normalizeSize(variantOption(v, /talla|size/i) || v.title) === target);
+    const inStock = variants.filter(variantInStock);
+    const colors = [...new Set(inStock.map(v => variantOption(v, /color|cor/i) || "Color Único"))];
+    return {
+        exists: variants.length > 0,
+        colors,
+        colorAvailable: color ? inStock.some(v => matchesColor(variantOption(v, /color|cor/i), color)) : null
+    };
+}
@@ -0,0 +1,122 @@
+/* ==========================================================================
+   ⚡ CACHÉ DEL STOCK EN VIVO (TTL + PETICIONES COMPARTIDAS)
+   ==========================================================================
+   Cada mensaje pedía a Shopify el stock de hasta 10 productos, aunque los
+   mismos productos populares se hubieran consultado hace un segundo:
+
+   - Caché por producto con TTL (LIVE_STOCK_TTL_MS): dentro del TTL no se
+     vuelve a preguntar.
+   - Peticiones compartidas: si dos mensajes piden a la vez el mismo producto,
+     se hace UNA sola consulta y los dos esperan a esa.
+   - Si Shopify tarda más de `timeoutMs` o falla, se sirve el último dato
+     conocido marcado como stale (con su hora). La consulta lenta sigue en
+     segundo plano y, si acaba llegando, refresca la caché.
+   - Tras un fallo, durante `retryAfterMs` ni se intenta: se sirve lo que haya
+     (no martilleamos a Shopify mientras está caído).
+
+   get(ids) devuelve Map(id -> { value, fetchedAt, stale }):
+     - value null + stale: Shopify no responde y no hay nada en caché.
+     - sin entrada: Shopify no conoce ese producto.
+   ========================================================================== */
+
+const TIMEOUT = Symbol("timeout");
+
+/**
+ * load: async (ids) => Map(id -> valor). Debe lanzar error si la consulta falla.
+ */
+export function createStockCache({ load, ttlMs = 30000, timeoutMs = 3000, retryAfterMs = 10000, maxEntries = 2000 }) {
+    const cache = new Map();    // id -> { value, fetchedAt }
+    const inFlight = new Map(); // id -> promesa del valor (undefined si Shopify no lo conoce)
+    const counters = { hits: 0, fetched: 0, coalesced: 0, staleServed: 0, failures: 0 };
+    let pausedUntil = 0; // Tras un fallo, no se consulta a Shopify hasta esta hora
+
+    function remember(id, value) {
+        cache.delete(id); // Reinsertar = mover al final (orden de uso)
+        cache.set(id, { value, fetchedAt: Date.now() });
+        if (cache.size > maxEntries) cache.delete(cache.keys().next().value);
+    }
+
+    // Una consulta para todos los ids que faltan; cada id queda "en vuelo" hasta que acaba
+    function fetchBatch(ids) {
+        counters.fetched += ids.length;
+        const batch = load(ids).then(values => {
+            for (const id of ids) {
+                if (values.has(id)) remember(id, values.get(id));
+            }
+            return values;
+        });
+        batch.catch(error => {
+            counters.failures++;
+            pausedUntil = Date.now() + retryAfterMs;
+            console.error("❌ Error consultando stock en vivo:", error.message || error);
+        });
+
+        for (const id of ids) {
+            const promise = batch.then(values => values.get(id));
+            promise.catch(() => { }).finally(() => inFlight.delete(id));
+            inFlight.set(id, promise);
+        }
+    }
+
+    function staleEntry(id) {
+        counters.staleServed++;
+        const entry = cache.get(id);
+        return entry ? { ...entry, stale: true } : { value: null, fetchedAt: null, stale: true };
+    }
+
+    async function get(ids) {
+        const now = Date.now();
+        const paused = now < pausedUntil;
+        const result = new Map();
+        const waiting = [];
+        const missing = [];
+
+        for (const id of new Set(ids.map(String))) {
+            const entry = cache.get(id);
+            if (entry && now - entry.fetchedAt < ttlMs) {
+                counters.hits++;
+                result.set(id, { ...entry, stale: false });
+            } else if (inFlight.has(id)) {
+                counters.coalesced++;
+                waiting.push(id);
+            } else if (paused) {
+                result.set(id, staleEntry(id));
+            } else {
+                missing.push(id);
+                waiting.push(id);
+            }
+        }
+        if (missing.length > 0) fetchBatch(missing);
+        if (waiting.length === 0) return result;
+
+        let timer;
+        const timeout = new Promise(resolve => { timer = setTimeout(resolve, timeoutMs, TIMEOUT); });
+        await Promise.all(waiting.map(async id => {
+            let value;
+            try {
+                value = await Promise.race([inFlight.get(id), timeout]);
+            } catch {
+                value = TIMEOUT; // Falló la consulta: mismo trato que si tarda demasiado
+            }
+
+            if (value === TIMEOUT) {
+                result.set(id, staleEntry(id));
+            } else if (value !== undefined) {
+                result.set(id, { value, fetchedAt: cache.get(id)?.fetchedAt ?? Date.now(), stale: false });
+            }
+        }));
+        clearTimeout(timer);
+        return result;
+    }
+
+    // Para cuando sabemos que el stock ha cambiado (webhooks, sincronización...)
+    function invalidate(ids) {
+        for (const id of ids) cache.delete(String(id));
+    }
+
+    function stats() {
+        return { ttlMs, timeoutMs, cached: cache.size, inFlight: inFlight.size, paused: Date.now() < pausedUntil, ...counters };
+    }
+
+    return { get, invalidate, stats };
+}
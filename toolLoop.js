@@ -0,0 +1,162 @@
+/* ==========================================================================
+   🛠️ BUCLE DE HERRAMIENTAS (OPENAI TOOL CALLING)
+   ==========================================================================
+   En lugar de meter todos los datos en el prompt, el modelo pide lo que
+   necesita (buscar productos, stock, pedidos, FAQs...) y nosotros
+   ejecutamos esas herramientas y le devolvemos el resultado:
+
+     ronda 1: modelo -> tool_calls -> ejecutamos -> mensajes "tool"
+     ronda 2: modelo -> más tool_calls o la respuesta final
+     ...
+     última ronda: tool_choice "none" -> respuesta final obligatoria
+
+   - Acotado: como mucho `maxRounds` rondas y `maxCalls` llamadas en total.
+   - Registrado: cada llamada queda en la traza (nombre, argumentos, tiempo,
+     tamaño del resultado) y en los logs, con emails y códigos enmascarados.
+   - Compatible con streaming: si se pasa onContent, cada ronda va en
+     streaming y el texto de la respuesta final se emite según llega.
+   ========================================================================== */
+
+const PREVIEW_LENGTH = 160;
+const SECRET_ARGS = /code|otp|token|password/i;
+const EMAIL_PATTERN = /([^\s@"]{1,2})[^\s@"]*@([^\s@"]+)/g;
+
+// Los logs son texto plano: "ana.garcia@gmail.com" -> "an***@gmail.com" y los códigos fuera
+function maskForLog(text) {
+    return String(text).replace(EMAIL_PATTERN, "$1***@$2");
+}
+
+function maskArgs(args) {
+    return maskForLog(JSON.stringify(args, (key, value) => (key && SECRET_ARGS.test(key) && value ? "***" : value)));
+}
+
+function parseArguments(raw) {
+    if (!raw) return {};
+    try {
+        return JSON.parse(raw);
+    } catch {
+        return null;
+    }
+}
+
+// Una ronda sin streaming: { content, toolCalls, usage }
+async function completeRound(openai, params, signal) {
+    const completion = await openai.chat.completions.create(params, { signal });
+    const message = completion.choices[0].message;
+    return { content: message.content || "", toolCalls: message.tool_calls || [], usage: completion.usage };
+}
+
+// Una ronda en streaming: junta los trozos de texto y de tool_calls
+async function streamRound(openai, params, signal, onContent) {
+    const stream = await openai.chat.completions.create(
+        { ...params, stream: true, stream_options: { include_usage: true } },
+        { signal }
+    );
+
+    let content = "";
+    let usage = null;
+    const calls = []; // index -> { id, type, function: { name, arguments } }
+    for await (const chunk of stream) {
+        if (chunk.usage) usage = chunk.usage;
+        const delta = chunk.choices[0]?.delta;
+        if (!delta) continue;
+
+        if (delta.content) {
+            content += delta.content;
+            onContent(delta.content);
+        }
+        for (const part of delta.tool_calls || []) {
+            const call = calls[part.index] || (calls[part.index] = { id: "", type: "function", function: { name: "", arguments: "" } });
+            if (part.id) call.id = part.id;
+            if (part.function?.name) call.function.name += part.function.name;
+            if (part.function?.arguments) call.function.arguments += part.function.arguments;
+        }
+    }
+    return { content, toolCalls: calls.filter(Boolean), usage };
+}
+
+/**
+ * Ejecuta el bucle y devuelve { content, trace }.
+ * handlers: { nombre: async (args) => string }. Lo que devuelvan se manda tal cual al modelo.
+ */
+export async function runToolLoop({
+    openai,
+    model,
+    messages,
+    tools = [],
+    handlers = {},
+    maxRounds = 4,
+    maxCalls = 8,
+    temperature = 0.1,
+    responseFormat = { type: "json_object" },
+    onUsage = () => { },
+    onContent = null,
+    signal,
+    label = "-"
+}) {
+    const conversation = [...messages];
+    const trace = [];
+
+    for (let round = 1; round <= maxRounds; round++) {
+        const params = {
+            model,
+            messages: conversation,
+            temperature,
+            response_format: responseFormat
+        };
+        // Sin herramientas es una llamada normal (una sola ronda)
+        if (tools.length > 0) {
+            params.tools = tools;
+            // En la última ronda (o sin presupuesto de llamadas) obligamos a contestar
+            params.tool_choice = round === maxRounds || trace.length >= maxCalls ? "none" : "auto";
+        }
+
+        const { content, toolCalls, usage } = onContent
+            ? await streamRound(openai, params, signal, onContent)
+            : await completeRound(openai, params, signal);
+        onUsage(model, usage);
+
+        if (toolCalls.length === 0) {
+            console.log(`🛠️ [${label}] Respuesta en ronda ${round} (${trace.length} herramientas usadas)`);
+            return { content, trace };
+        }
+
+        conversation.push({ role: "assistant", content: content || null, tool_calls: toolCalls });
+
+        for (const call of toolCalls) {
+            const name = call.function.name;
+            const args = parseArguments(call.function.arguments);
+            const started = Date.now();
+            let result;
+            let ok = true;
+
+            if (trace.length >= maxCalls) {
+                result = "ERROR: límite de herramientas alcanzado en este mensaje. Responde con lo que ya tienes.";
+                ok = false;
+            } else if (!handlers[name]) {
+                result = `ERROR: la herramienta "${name}" no existe.`;
+                ok = false;
+            } else if (args === null) {
+                result = "ERROR: argumentos JSON inválidos.";
+                ok = false;
+            } else {
+                try {
+                    result = String(await handlers[name](args));
+                } catch (error) {
+                    console.error(`❌ [${label}] Herramienta ${name} falló:`, error);
+                    result = "ERROR: la consulta ha fallado. Dile al cliente que lo intente en unos minutos.";
+                    ok = false;
+                }
+            }
+
+            const entry = { round, name, args, ok, ms: Date.now() - started, resultChars: result.length };
+            trace.push(entry);
+            console.log(`🛠️ [${label}] ${name} ${maskArgs(args)} -> ${ok ? "ok" : "error"} (${entry.ms}ms, ${result.length} chars): ${maskForLog(result.slice(0, PREVIEW_LENGTH).replace(/\s+/g, " "))}`);
+
+            conversation.push({ role: "tool", tool_call_id: call.id, content: result });
+        }
+    }
+
+    // No debería llegar aquí (la última ronda va con tool_choice "none")
+    return { content: "", trace };
+}
@@ -0,0 +1,211 @@
+/* ==========================================================================
+   🧭 ALMACENES VECTORIALES (BÚSQUEDA SEMÁNTICA DE PRODUCTOS)
+   ==========================================================================
+   Todos cumplen la misma interfaz, así server.js no sabe cuál está usando:
+   - rebuild(items)       -> deja el almacén igual que `items` ([{ id, embedding }]).
+   - upsert(items)        -> añade o actualiza productos sueltos.
+   - remove(ids)          -> quita productos.
+   - search(vector, k, allowedIds?) -> [{ id, score }] ordenados por similitud
+                           (coseno). allowedIds (Set) limita la búsqueda a esos
+                           productos (filtros de talla, precio...).
+
+   · memory:   en RAM, con índice LSH (hiperplanos aleatorios) para no comparar
+               la query contra todo el catálogo en cada mensaje. El número de
+               hiperplanos se ajusta al tamaño del catálogo en cada rebuild.
+   · pgvector: delega en Supabase (columna `embedding` de ai_index + función
+               `match_ai_index`, ver SUPABASE_SETUP.sql).
+   ========================================================================== */
+
+// Producto escalar (los embeddings de OpenAI vienen normalizados = coseno)
+function dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+    return sum;
+}
+
+// Generador pseudoaleatorio con semilla: los hiperplanos son siempre los mismos entre reinicios
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/* --------------------------------------------------------------------------
+   🧠 ALMACÉN EN MEMORIA (LSH)
+   Cada tabla parte el espacio con `bits` hiperplanos; los vectores que caen
+   del mismo lado de todos ellos comparten cubeta. En la búsqueda miramos la
+   cubeta de la query y sus vecinas a 1 bit (multi-probe) en todas las tablas
+   y solo calculamos el coseno exacto de esos candidatos.
+
+   Con `bits` fijos, un catálogo pequeño deja las cubetas casi vacías y nunca
+   salen candidatos suficientes: siempre acabaríamos en la búsqueda exacta.
+   Por eso `bits` sale del tamaño del catálogo (cubetas de ~`bucketSize`
+   productos) y el mínimo de candidatos es `minCandidatesPerK` × k. Solo si
+   aun así salen pocos (query rara o filtro muy estricto) se hace la exacta.
+   -------------------------------------------------------------------------- */
+const MAX_BITS = 16;
+
+export function createMemoryVectorStore({ tables = 8, bucketSize = 16, minCandidatesPerK = 2, seed = 42 } = {}) {
+    const vectors = new Map();   // id -> embedding
+    let bits = 1;                // Hiperplanos por tabla (se recalcula en rebuild)
+    let planes = null;           // [tabla][bit] -> hiperplano
+    let buckets = [];            // [tabla] -> Map(firma -> Set(ids))
+    const signatures = new Map(); // id -> [firma por tabla]
+
+    // 2^bits cubetas de ~bucketSize productos: 300 productos -> 4 bits, 5000 -> 8 bits
+    function bitsFor(count) {
+        return Math.min(MAX_BITS, Math.max(1, Math.round(Math.log2(count / bucketSize))));
+    }
+
+    function initPlanes(dims) {
+        const random = seededRandom(seed);
+        planes = Array.from({ length: tables }, () =>
+            Array.from({ length: bits }, () => Float32Array.from({ length: dims }, () => random() * 2 - 1))
+        );
+        buckets = Array.from({ length: tables }, () => new Map());
+    }
+
+    function signature(vector, table) {
+        let sig = 0;
+        planes[table].forEach((plane, bit) => {
+            if (dot(vector, plane) >= 0) sig |= 1 << bit;
+        });
+        return sig;
+    }
+
+    function add(id, embedding) {
+        if (!planes) initPlanes(embedding.length);
+        remove([id]);
+
+        const sigs = [];
+        for (let t = 0; t < tables; t++) {
+            const sig = signature(embedding, t);
+            if (!buckets[t].has(sig)) buckets[t].set(sig, new Set());
+            buckets[t].get(sig).add(id);
+            sigs.push(sig);
+        }
+        vectors.set(id, embedding);
+        signatures.set(id, sigs);
+    }
+
+    function remove(ids) {
+        for (const rawId of ids) {
+            const id = String(rawId);
+            const sigs = signatures.get(id);
+            if (!sigs) continue;
+            sigs.forEach((sig, t) => {
+                const bucket = buckets[t].get(sig);
+                if (!bucket) return;
+                bucket.delete(id);
+                if (bucket.size === 0) buckets[t].delete(sig);
+            });
+            signatures.delete(id);
+            vectors.delete(id);
+        }
+    }
+
+    function upsert(items) {
+        for (const item of items) {
+            if (Array.isArray(item.embedding)) add(String(item.id), item.embedding);
+        }
+    }
+
+    function rebuild(items) {
+        vectors.clear();
+        signatures.clear();
+        bits = bitsFor(items.filter(item => Array.isArray(item.embedding)).length);
+        planes = null;
+        buckets = [];
+        upsert(items);
+    }
+
+    function candidateIds(vector) {
+        const ids = new Set();
+        for (let t = 0; t < tables; t++) {
+            const sig = signature(vector, t);
+            const probes = [sig];
+            for (let bit = 0; bit < bits; bit++) probes.push(sig ^ (1 << bit));
+            probes.forEach(probe => buckets[t].get(probe)?.forEach(id => ids.add(id)));
+        }
+        return ids;
+    }
+
+    function search(vector, k, allowedIds = null) {
+        if (vectors.size === 0) return [];
+
+        let ids = [...candidateIds(vector)];
+        if (allowedIds) ids = ids.filter(id => allowedIds.has(id));
+        if (ids.length < k * minCandidatesPerK) {
+            // Búsqueda exacta (sobre los permitidos si hay filtro)
+            ids = allowedIds ? [...allowedIds].filter(id => vectors.has(id)) : [...vectors.keys()];
+        }
+
+        const scored = [];
+        for (const id of ids) scored.push({ id, score: dot(vector, vectors.get(id)) });
+        return scored.sort((a, b) => b.score - a.score).slice(0, k);
+    }
+
+    return { kind: "memory", rebuild, upsert, remove, search, size: () => vectors.size };
+}
+
+/* --------------------------------------------------------------------------
+   🐘 ALMACÉN PGVECTOR (SUPABASE)
+   Las filas de ai_index las escribe server.js; aquí solo tocamos la columna
+   `embedding` (rebuild rellena las vacías, upsert reescribe las que se han
+   vuelto a vectorizar) y buscamos vía RPC.
+   -------------------------------------------------------------------------- */
+export function createPgVectorStore(supabase, { table = "ai_index", matchFunction = "match_ai_index", batchSize = 200 } = {}) {
+    let count = 0;
+
+    async function writeEmbeddings(items) {
+        for (const item of items) {
+            if (!Array.isArray(item.embedding)) continue;
+            const { error } = await supabase.from(table).update({ embedding: item.embedding }).eq("id", String(item.id));
+            if (error) throw error;
+        }
+    }
+
+    // Solo escribe los embeddings que faltan (filas nuevas o migradas desde la versión sin pgvector)
+    async function rebuild(items) {
+        const missing = new Set();
+        for (let from = 0; ; from += batchSize) {
+            const { data, error } = await supabase
+                .from(table)
+                .select("id")
+                .is("embedding", null)
+                .order("id")
+                .range(from, from + batchSize - 1);
+            if (error) throw error;
+            data.forEach(row => missing.add(row.id));
+            if (data.length < batchSize) break;
+        }
+
+        await writeEmbeddings(items.filter(item => missing.has(String(item.id))));
+        count = items.length;
+        return missing.size;
+    }
+
+    async function upsert(items) {
+        await writeEmbeddings(items);
+    }
+
+    // Las filas se borran desde server.js (deleteIndexRows) y el embedding va con ellas
+    async function remove() { }
+
+    async function search(vector, k, allowedIds = null) {
+        const { data, error } = await supabase.rpc(matchFunction, {
+            query_embedding: vector,
+            match_count: k,
+            filter_ids: allowedIds ? [...allowedIds] : null
+        });
+        if (error) throw error;
+        return (data || []).map(row => ({ id: String(row.id), score: row.similarity }));
+    }
+
+    return { kind: "pgvector", rebuild, upsert, remove, search, size: () => count };
+}